@@ -32,8 +32,9 @@ Cmd.addVar('port', 'p', 'Set server port to listen', 'port');
 Cmd.addVar('url', '', 'Set Siap url', 'url');
 Cmd.addVar('profile', '', 'Use profile for operation', 'profile');
 Cmd.addBool('clean', '', 'Clean profile directory');
-Cmd.addBool('queue', 'q', 'Enable queue saving and loading');
+Cmd.addBool('queue', 'q', 'Enable queue journaling and restoring');
 Cmd.addBool('noop', '', 'Do not process queue');
+Cmd.addBool('dry-run', '', 'Fill SPP forms without submitting them');
 Cmd.addVar('count', '', 'Set count of operation such as captcha fetching', 'number');
 
 if (!Cmd.parse() || (Cmd.get('help') && usage())) {
@@ -46,6 +47,8 @@ const Work = require('@ntlab/work/work');
 const SiapCmd = require('./cmd');
 const SiapNotifier = require('./notifier');
 const SiapQueue = require('./queue');
+const { SiapAnnouncedError } = require('./siap');
+const SiapRoles = require('./roles');
 const SiapBridge = require('./bridge');
 const SiapSppBridge = require('./bridge/spp');
 const SiapUtilBridge = require('./bridge/util');
@@ -92,11 +95,29 @@ class App {
         if (fs.existsSync(filename)) {
             console.log('Configuration loaded from %s', filename);
         }
-        // load roles
-        filename = path.join(__dirname, 'roles.json');
+        // load roles, encrypted store takes precedence over roles.json
+        if (!this.isRolesCommand()) {
+            const store = this.getRolesStore();
+            filename = path.join(__dirname, 'roles.json');
+            if (store.exists()) {
+                try {
+                    this.config.roles = store.load().toJSON();
+                    console.log('Roles loaded from %s', store.filename);
+                }
+                catch (err) {
+                    console.error('Unable to load roles from %s: %s', store.filename, err.message);
+                    process.exit(1);
+                }
+            } else if (fs.existsSync(filename)) {
+                this.config.roles = JSON.parse(fs.readFileSync(filename));
+                console.log('Roles loaded from %s, consider importing it into encrypted store', filename);
+            }
+        }
+        // load selector catalogue
+        filename = path.join(__dirname, 'selectors.json');
         if (fs.existsSync(filename)) {
-            this.config.roles = JSON.parse(fs.readFileSync(filename));
-            console.log('Roles loaded from %s', filename);
+            this.config.catalogue = JSON.parse(fs.readFileSync(filename));
+            console.log('Selectors %s loaded from %s', this.config.catalogue.version, filename);
         }
         // load bridge specific configuration
         switch (this.config.mode) {
@@ -193,6 +214,11 @@ class App {
 
     createDequeuer() {
         this.dequeue = SiapQueue.createDequeuer();
+        this.dequeue.setRetryPolicy(this.config.retry);
+        this.dequeue.setPriorityPolicy(this.config.priority);
+        this.dequeue.setDeadLetter(path.join(process.cwd(), 'queue', 'failed'));
+        this.dequeue.setCallbackPolicy(this.config.callback);
+        this.dequeue.setOutbox(path.join(process.cwd(), 'queue', 'outbox'));
         this.dequeue.setInfo({
             version: this.VERSION,
             ready: () => this.ready ? 'Yes' : 'No',
@@ -202,41 +228,121 @@ class App {
             let queue;
             switch (data.type) {
                 case SiapQueue.QUEUE_SPP:
-                    queue = SiapQueue.createSppQueue(data.data, data.callback);
+                    queue = SiapQueue.createSppQueue(data.data, data.callback, data.secret);
+                    queue.maps = this.config.maps;
+                    queue.info = queue.getMappedData('info.title');
+                    queue.retry = true;
+                    if (queue.data.dryRun || Cmd.get('dry-run')) {
+                        // keep the flag in data so it is journaled and resubmitted along
+                        queue.data.dryRun = true;
+                        queue.dryRun = true;
+                        queue.info += ' (dry run)';
+                    }
+                    if (queue.data.trackSp2d !== undefined ? queue.data.trackSp2d : this.getSp2dPolicy().track) {
+                        queue.trackSp2d = true;
+                    }
+                    break;
+                case SiapQueue.QUEUE_SP2D:
+                    queue = SiapQueue.createSp2dQueue(data.data, data.callback, data.secret);
+                    queue.maps = this.config.maps;
+                    queue.info = queue.getMappedData('info.title');
+                    queue.retry = true;
+                    break;
+                case SiapQueue.QUEUE_SPP_DELETE:
+                    queue = SiapQueue.createSppDeleteQueue(data.data, data.callback, data.secret);
+                    queue.maps = this.config.maps;
+                    queue.info = queue.getMappedData('info.title');
+                    queue.retry = true;
+                    break;
+                case SiapQueue.QUEUE_SPP_STATUS:
+                    queue = SiapQueue.createSppStatusQueue(data.data, data.callback, data.secret);
                     queue.maps = this.config.maps;
                     queue.info = queue.getMappedData('info.title');
                     queue.retry = true;
                     break;
+                case SiapQueue.QUEUE_REKANAN:
+                    queue = SiapQueue.createRekananQueue(data.data, data.callback, data.secret);
+                    queue.maps = this.config.maps;
+                    queue.info = queue.getMappedData('info.nama');
+                    queue.retry = true;
+                    if (queue.data.dryRun || Cmd.get('dry-run')) {
+                        // keep the flag in data so it is journaled and resubmitted along
+                        queue.data.dryRun = true;
+                        queue.dryRun = true;
+                        queue.info += ' (dry run)';
+                    }
+                    break;
                 case SiapQueue.QUEUE_CAPTCHA:
                     queue = SiapQueue.createCaptchaQueue(data.data);
                     queue.info = null;
                     break;
+                case SiapQueue.QUEUE_HEALTH:
+                    queue = SiapQueue.createHealthQueue(data.data);
+                    queue.info = null;
+                    break;
                 case SiapQueue.QUEUE_NOOP:
                     queue = SiapQueue.createNoopQueue(data.data);
                     queue.info = null;
                     break;
             }
             if (queue) {
-                if (data.id) {
+                if (data.id !== undefined && data.id !== null) {
+                    if (!SiapQueue.isValidId(data.id)) {
+                        return {message: 'Queue id must be a string of letters, digits, underscore, or dash up to 64 characters!'};
+                    }
                     queue.id = data.id;
                 }
-                if (queue.type === SiapQueue.QUEUE_SPP && SiapQueue.hasPendingQueue(queue)) {
+                if (data.created) {
+                    queue.created = new Date(data.created);
+                }
+                if (data.restored) {
+                    queue.restored = true;
+                }
+                if (data.retryCount) {
+                    queue.retryCount = data.retryCount;
+                }
+                if (Array.isArray(data.subscribers) && data.subscribers.length) {
+                    queue.subscribers = data.subscribers;
+                }
+                if (data.resume) {
+                    queue.restore(data.resume);
+                }
+                if ([SiapQueue.QUEUE_SPP, SiapQueue.QUEUE_SPP_STATUS, SiapQueue.QUEUE_SP2D, SiapQueue.QUEUE_SPP_DELETE].indexOf(queue.type) >= 0 &&
+                    SiapQueue.hasPendingQueue(queue)) {
                     return {message: `SPP ${queue.info} sudah dalam antrian!`};
                 }
+                // deleting an SPP being created would leave the created one behind
+                if (queue.type === SiapQueue.QUEUE_SPP_DELETE && SiapQueue.hasPendingQueue(queue, SiapQueue.QUEUE_SPP)) {
+                    return {message: `SPP ${queue.info} sedang dibuat, tidak dapat dihapus!`};
+                }
+                if (queue.type === SiapQueue.QUEUE_REKANAN && SiapQueue.hasPendingQueue(queue)) {
+                    return {message: `Rekanan ${queue.info} sudah dalam antrian!`};
+                }
                 console.log('%s: %s', queue.type.toUpperCase(), queue.info);
+                if (queue.completed && queue.completed.length) {
+                    console.log('%s: %s resumed after %s', queue.type.toUpperCase(), queue.info, queue.completed.join(', '));
+                }
                 return SiapQueue.addQueue(queue);
             }
         }
         this.dequeue
             .on('queue', () => this.handleNotify())
-            .on('queue-done', () => this.handleNotify())
+            .on('queue-done', queue => {
+                this.recheckSp2d(queue);
+                this.handleNotify();
+            })
             .on('queue-error', () => this.handleNotify())
+            .on('queue-cancel', () => this.handleNotify())
+            .on('queue-step', (queue, step) => this.handleStep(queue, step))
+            .on('pause', () => this.handleNotify())
+            .on('resume', () => this.handleNotify())
         ;
         if (Cmd.get('queue')) {
+            this.dequeue.setJournal(path.join(process.cwd(), 'queue', 'queue.journal'));
             const f = () => {
-                console.log('Please wait, saving queues...');
-                this.dequeue.saveQueue();
+                console.log('Please wait, saving logs...');
                 this.dequeue.saveLogs();
+                this.dequeue.close();
                 process.exit();
             }
             process.on('SIGINT', () => f());
@@ -280,7 +386,10 @@ class App {
             if (bridge) {
                 bridge.name = name;
                 bridge.year = config.year;
-                bridge.onState = () => this.handleNotify();
+                bridge.onState = () => {
+                    this.notifyCaptcha(bridge);
+                    this.handleNotify();
+                }
                 this.bridges.push(bridge);
                 console.log('Siap bridge created: %s', name);
             }
@@ -336,6 +445,124 @@ class App {
         });
     }
 
+    isRolesCommand() {
+        return this.config.mode === this.BRIDGE_UTIL && Cmd.args[0] === 'roles';
+    }
+
+    getRolesStore() {
+        const filename = path.resolve(__dirname, this.config.rolesStore || 'roles.enc');
+        const keyfile = this.config.rolesKeyFile ? path.resolve(__dirname, this.config.rolesKeyFile) : null;
+        return new SiapRoles(filename, SiapRoles.getKey(keyfile));
+    }
+
+    /**
+     * Manage users and role mappings of encrypted roles store.
+     *
+     * @param {string[]} args Command arguments
+     * @returns {Promise<string>}
+     */
+    manageRoles(args) {
+        const store = this.getRolesStore();
+        const [action, ...params] = args;
+        const usages = {
+            keygen: '',
+            list: '',
+            import: '[filename]',
+            add: '<user> <username> [account]',
+            rotate: '<user>',
+            remove: '<user>',
+            map: '<kegiatan> <role> <user>',
+            unmap: '<kegiatan> [role]',
+        }
+        if (usages[action] === undefined || params.length < (usages[action].match(/</g) || []).length) {
+            return Promise.resolve(['Usage:', ...Object.keys(usages).map(a => `  node ${path.basename(process.argv[1])} --mode=util roles ${a} ${usages[a]}`.trimEnd())].join('\n'));
+        }
+        if (action === 'keygen') {
+            return Promise.resolve(SiapRoles.generateKey());
+        }
+        // password is always prompted to keep it away from shell history
+        const prompted = ['add', 'rotate'].indexOf(action) >= 0;
+        const source = action === 'import' ? (params[0] ? params[0] : path.join(__dirname, 'roles.json')) : null;
+        return Work.works([
+            ['store', w => new Promise((resolve, reject) => resolve(store.exists() ? store.load() : store))],
+            // check user before asking password
+            [w => Promise.reject(util.format('User %s already exist!', params[0])), w => action === 'add' && store.users[params[0]]],
+            [w => Promise.reject(util.format('User %s is not exist!', params[0])), w => action === 'rotate' && !store.users[params[0]]],
+            ['password', w => this.prompt('Password: ', true), w => prompted],
+            [w => Promise.reject('Password is required!'), w => prompted && !w.getRes('password')],
+            ['update', w => new Promise((resolve, reject) => {
+                switch (action) {
+                    case 'list':
+                        return resolve(this.describeRoles(store));
+                    case 'import':
+                        store.import(JSON.parse(fs.readFileSync(source)));
+                        break;
+                    case 'add':
+                        store.addUser(params[0], params[1], w.getRes('password'), params[2]);
+                        break;
+                    case 'rotate':
+                        store.rotateUser(params[0], w.getRes('password'));
+                        break;
+                    case 'remove':
+                        store.removeUser(params[0]);
+                        break;
+                    case 'map':
+                        store.mapRole(params[0], params[1], params[2]);
+                        break;
+                    case 'unmap':
+                        store.unmapRole(params[0], params[1]);
+                        break;
+                }
+                store.save();
+                console.log('Roles store %s updated', store.filename);
+                resolve();
+            })],
+            ['confirm', w => this.prompt(util.format('Delete plaintext %s? [y/N] ', source)), w => source],
+            ['delete', w => new Promise((resolve, reject) => {
+                fs.unlinkSync(source);
+                resolve(util.format('%s deleted', source));
+            }), w => source && /^y(es)?$/i.test(w.getRes('confirm').trim())],
+            [w => Promise.resolve(action === 'list' ? w.getRes('update') : w.getRes('delete'))],
+        ]);
+    }
+
+    describeRoles(store) {
+        const res = ['Users:'];
+        for (const [user, cred] of Object.entries(store.users)) {
+            res.push(`  ${user}: ${cred.username}${cred.role ? ' (' + cred.role + ')' : ''}`);
+        }
+        res.push('Roles:');
+        for (const [keg, roles] of Object.entries(store.roles)) {
+            res.push(`  ${keg}: ${Object.keys(roles).map(role => `${role}=${roles[role]}`).join(', ')}`);
+        }
+        return res.join('\n');
+    }
+
+    prompt(question, hidden = false) {
+        return new Promise((resolve, reject) => {
+            const readline = require('readline');
+            const { Writable } = require('stream');
+            // hidden answer is not echoed by muting the output
+            const output = new Writable({
+                write: (chunk, encoding, callback) => {
+                    if (!hidden) {
+                        process.stdout.write(chunk, encoding);
+                    }
+                    callback();
+                }
+            });
+            process.stdout.write(question);
+            const rl = readline.createInterface({input: process.stdin, output, terminal: process.stdin.isTTY});
+            rl.question('', answer => {
+                rl.close();
+                if (hidden) {
+                    process.stdout.write('\n');
+                }
+                resolve(answer);
+            });
+        });
+    }
+
     registerCommands() {
         const prefixes = {[this.BRIDGE_SPP]: 'spp', [this.BRIDGE_UTIL]: 'util'};
         SiapCmd.register(this, prefixes[this.config.mode]);
@@ -394,21 +621,78 @@ class App {
         }
     }
 
+    notifyCaptcha(bridge) {
+        const captcha = bridge.hasState('captcha');
+        if (captcha && !bridge.captchaNotified && bridge.queue && !bridge.queue.finished()) {
+            SiapQueue.publish(bridge.queue, SiapQueue.EVENT_CAPTCHA, {bridge: bridge.name});
+        }
+        bridge.captchaNotified = captcha;
+    }
+
+    getSp2dPolicy() {
+        return Object.assign({track: false, interval: 6 * 60 * 60 * 1000, max: 28}, this.config.sp2d || {});
+    }
+
+    /**
+     * Queue SP2D re-check later for approved SPM which has no SP2D yet.
+     *
+     * @param {SiapQueue} queue Finished queue
+     */
+    recheckSp2d(queue) {
+        if ((queue.type === SiapQueue.QUEUE_SP2D || (queue.type === SiapQueue.QUEUE_SPP && queue.trackSp2d && !queue.dryRun)) &&
+            queue.SPM && !queue.SP2D) {
+            const policy = this.getSp2dPolicy();
+            const count = (queue.data.sp2dCheck || 0) + 1;
+            if (policy.max > 0 && count > policy.max) {
+                console.log('SP2D of %s is not found after %d check(s), giving up!', queue.info, count - 1);
+                return;
+            }
+            const { notAfter, ...data } = queue.data;
+            data.notBefore = new Date(Date.now() + policy.interval).toISOString();
+            data.sp2dCheck = count;
+            this.dequeue.createQueue({
+                type: SiapQueue.QUEUE_SP2D,
+                data,
+                callback: queue.callback,
+                secret: queue.secret,
+                subscribers: queue.subscribers,
+                resume: {values: queue.getValues()},
+            });
+        }
+    }
+
+    handleStep(queue, step) {
+        const status = Object.assign(this.dequeue.getStatus(), {step: Object.assign({queue: queue.id}, queue.getStepInfo(step))});
+        this.sockets.forEach(socket => {
+            socket.emit('status', status);
+        });
+    }
+
     isBridgeReady(bridge) {
         // bridge currently has no queue
         // or the last queue has been finished
-        if (bridge && (bridge.queue === undefined || bridge.queue.finished())) {
+        // and bridge processing window is open
+        if (bridge && (bridge.queue === undefined || bridge.queue.finished()) && bridge.isInWindow()) {
             return true;
         }
         return false;
     }
 
+    isQueueScheduled(queue, time) {
+        // queue without handler will be skipped instead
+        const handlers = this.getQueueHandler(queue, false);
+        if (handlers.length) {
+            return handlers.filter(b => b.isInWindow(time)).length === 0;
+        }
+        return false;
+    }
+
     getQueueHandler(queue, ready = true) {
         const bridges = [];
         const year = queue.data && queue.data.year ? queue.data.year : null;
         // get prioritized bridge based on accepts type
         this.bridges.forEach(b => {
-            if (b.isOperational() && b.year == year && Array.isArray(b.accepts) && b.accepts.indexOf(queue.type) >= 0) {
+            if (b.isOperational(queue) && b.year == year && Array.isArray(b.accepts) && b.accepts.indexOf(queue.type) >= 0) {
                 if (!ready || this.isBridgeReady(b)) {
                     bridges.push(b);
                 }
@@ -417,7 +701,7 @@ class App {
         // fallback to default bridge
         if (!bridges.length) {
             this.bridges.forEach(b => {
-                if (b.isOperational() && b.year == year && b.accepts === undefined) {
+                if (b.isOperational(queue) && b.year == year && b.accepts === undefined) {
                     if (!ready || this.isBridgeReady(b)) {
                         bridges.push(b);
                     }
@@ -427,6 +711,25 @@ class App {
         return bridges;
     }
 
+    /**
+     * Get a user which failed credential validation on a bridge which would
+     * otherwise handle the queue.
+     *
+     * @param {SiapQueue} queue The queue
+     * @returns {string|undefined}
+     */
+    getFailedUser(queue) {
+        const year = queue.data && queue.data.year ? queue.data.year : null;
+        for (const b of this.bridges) {
+            if (b.isOperational() && b.year == year && (b.accepts === undefined || (Array.isArray(b.accepts) && b.accepts.indexOf(queue.type) >= 0))) {
+                const user = b.getFailedUser(queue);
+                if (user) {
+                    return user;
+                }
+            }
+        }
+    }
+
     readyCount() {
         let readyCnt = 0;
         this.bridges.forEach(b => {
@@ -440,6 +743,10 @@ class App {
     isBridgeIdle(queue) {
         const handlers = this.getQueueHandler(queue, false);
         if (handlers.length === 0) {
+            // queue rejected only for failed credential is processed to fail it
+            if (this.getFailedUser(queue)) {
+                return true;
+            }
             debug('No handler', queue);
             queue.setStatus(SiapQueue.STATUS_SKIPPED);
         }
@@ -470,7 +777,7 @@ class App {
 
     processQueue(queue) {
         if (queue.type === SiapQueue.QUEUE_CALLBACK) {
-            return SiapNotifier.notify(queue);
+            return SiapNotifier.notify(queue, this.config.callback);
         }
         /** @type {SiapBridge} */
         let bridge = queue.bridge;
@@ -482,18 +789,33 @@ class App {
                 queue.bridge = bridge;
                 queue.onretry = () => bridge.end();
                 queue.ontimeout = () => bridge.end();
+                queue.onabort = () => bridge.end();
             }
         }
         if (bridge) {
             switch (queue.type) {
                 case SiapQueue.QUEUE_SPP:
                     return bridge.createSpp(queue);
+                case SiapQueue.QUEUE_SPP_STATUS:
+                    return bridge.querySppStatus(queue);
+                case SiapQueue.QUEUE_SP2D:
+                    return bridge.checkSp2d(queue);
+                case SiapQueue.QUEUE_SPP_DELETE:
+                    return bridge.deleteSpp(queue);
+                case SiapQueue.QUEUE_REKANAN:
+                    return bridge.syncRekanan(queue);
                 case SiapQueue.QUEUE_CAPTCHA:
                     return bridge.fetchCaptcha(queue);
+                case SiapQueue.QUEUE_HEALTH:
+                    return bridge.checkHealth(queue);
                 case SiapQueue.QUEUE_NOOP:
                     return bridge.noop();
             }
         }
+        const user = this.getFailedUser(queue);
+        if (user) {
+            return Promise.reject(SiapAnnouncedError.create(util.format('Kredensial %s tidak valid!', user)));
+        }
         return Promise.reject(util.format('No bridge can handle %s!', queue.getInfo()));
     }
 
@@ -509,6 +831,21 @@ class App {
 
     run() {
         if (this.initialize()) {
+            if (this.isRolesCommand()) {
+                Cmd.args.shift();
+                this.manageRoles(Cmd.args)
+                    .then(res => {
+                        if (res) {
+                            console.log(res);
+                        }
+                        process.exit();
+                    })
+                    .catch(err => {
+                        console.error(err instanceof Error ? err.message : err);
+                        process.exit(1);
+                    });
+                return true;
+            }
             this.createDequeuer();
             this.createBridges();
             this.registerCommands();
@@ -529,6 +866,13 @@ class App {
                                 timeout: 0,
                             }
                             break;
+                        case 'health':
+                            command = 'util:health';
+                            data = {
+                                year: new Date().getFullYear(),
+                                timeout: 0,
+                            }
+                            break;
                         case 'noop':
                             command = 'util:noop';
                             data = {
@@ -539,13 +883,19 @@ class App {
                     }
                     if (command) {
                         const queue = SiapCmd.get(command).consume({data: data ? data : {}});
-                        this.dequeue.on('queue-done', q => {
-                            if (q.id === queue.id) {
-                                process.exit();
-                            }
-                        });
+                        this.dequeue
+                            .on('queue-done', q => {
+                                if (q.id === queue.id) {
+                                    process.exit(q.result && q.result.broken ? 1 : 0);
+                                }
+                            })
+                            .on('queue-error', q => {
+                                if (q.id === queue.id) {
+                                    process.exit(1);
+                                }
+                            });
                     } else {
-                        console.log('Supported utility: captcha, noop');
+                        console.log('Supported utility: captcha, health, noop, roles');
                         process.exit();
                     }
                     break;
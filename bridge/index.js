@@ -22,6 +22,9 @@
  * SOFTWARE.
  */
 
+const path = require('path');
+const util = require('util');
+const Queue = require('@ntlab/work/queue');
 const Work = require('@ntlab/work/work');
 const SiapQueue = require('../queue');
 const SiapSession = require('./session');
@@ -75,13 +78,132 @@ class SiapBridge {
         return Work.works([
             ['role', s => Promise.resolve(this.switchRole(role))],
             ['bp', s => this.doAs(this.ROLE_BP)],
+            ['credentials', s => this.validateCredentials(), s => this.options.validateCredentials],
             ['done', s => Promise.resolve(f())],
             ['cleanup', s => s.bp.stop()],
         ]);
     }
 
-    isOperational() {
-        return this.state === this.STATE_OPERATIONAL;
+    /**
+     * Validate credential of each user by logging in and selecting the account
+     * of its roles. Users which failed are kept in `failedUsers`, and queues of
+     * roles using them are no longer handled by this bridge.
+     *
+     * @returns {Promise<object[]>}
+     */
+    validateCredentials() {
+        const users = this.getRoleUsers();
+        const results = [];
+        this.failedUsers = {};
+        return new Promise((resolve, reject) => {
+            const q = new Queue(Object.keys(users), user => {
+                const cred = this.getCredential(user);
+                const res = {user, roles: users[user]};
+                const titles = [];
+                for (const role of users[user]) {
+                    const title = cred && cred.role ? cred.role : this.getRoleTitle(role);
+                    if (titles.indexOf(title) < 0) {
+                        titles.push(title);
+                    }
+                }
+                const session = cred ? this.getSession(cred.username) : null;
+                Work.works([
+                    [w => Promise.reject(util.format('User has no credential: %s!', user)), w => !session],
+                    [w => session.start()],
+                    ...titles.map(title => [w => session.siap.login(cred.username, cred.password, title, true)]),
+                ])
+                .then(() => {
+                    res.status = 'pass';
+                })
+                .catch(err => {
+                    res.status = 'fail';
+                    res.error = err instanceof Error ? err.message : err;
+                    this.failedUsers[user] = res.error;
+                })
+                .then(() => session ? session.stop() : null)
+                .then(() => {
+                    console.log('%s: credential %s (%s) %s%s', this.name, user, res.roles.join(', '), res.status, res.error ? ': ' + res.error : '');
+                    results.push(res);
+                    q.next();
+                })
+                .catch(err => reject(err));
+            });
+            q.once('done', () => resolve(this.credentials = results));
+        });
+    }
+
+    /**
+     * Check if bridge is operational. When a queue is given, the queue roles
+     * must not use a user which failed credential validation.
+     *
+     * @param {SiapQueue} queue The queue
+     * @returns {boolean}
+     */
+    isOperational(queue = null) {
+        if (this.state !== this.STATE_OPERATIONAL) {
+            return false;
+        }
+        if (queue && this.getFailedUser(queue)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get a user of queue roles which failed credential validation.
+     *
+     * @param {SiapQueue} queue The queue
+     * @returns {string|undefined}
+     */
+    getFailedUser(queue) {
+        if (queue.maps && this.failedUsers && this.options.roles && this.options.roles.roles) {
+            const roles = this.options.roles.roles[queue.getMappedData('info.role')];
+            if (roles) {
+                for (const role of Object.keys(roles)) {
+                    if (this.getRoleTitle(role) && this.failedUsers[roles[role]]) {
+                        return roles[role];
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if time is within bridge processing windows. A window is defined
+     * as {"days": [1, 2, 3, 4, 5], "start": "07:00", "end": "16:00"}, where days
+     * is optional day of week (0 is Sunday).
+     *
+     * @param {Date} time Time to check
+     * @returns {boolean}
+     */
+    isInWindow(time = null) {
+        const windows = this.options.windows;
+        if (!Array.isArray(windows) || !windows.length) {
+            return true;
+        }
+        time = time || new Date();
+        const minutes = s => {
+            const [h, m] = s.split(':');
+            return (parseInt(h) * 60) + (m ? parseInt(m) : 0);
+        }
+        const t = (time.getHours() * 60) + time.getMinutes();
+        for (const window of windows) {
+            const start = window.start ? minutes(window.start) : 0;
+            const end = window.end ? minutes(window.end) : 24 * 60;
+            // window passing midnight belongs to the day it starts
+            const overnight = end < start;
+            let day = time.getDay();
+            if (overnight && t < end) {
+                day = (day + 6) % 7;
+            }
+            if (Array.isArray(window.days) && window.days.indexOf(day) < 0) {
+                continue;
+            }
+            if (overnight ? t >= start || t < end : t >= start && t < end) {
+                return true;
+            }
+        }
+        return false;
     }
 
     hasState(state) {
@@ -134,6 +256,31 @@ class SiapBridge {
         return res;
     }
 
+    /**
+     * Get users which log in along with their roles.
+     *
+     * @returns {object}
+     */
+    getRoleUsers() {
+        const res = {};
+        if (this.options.roles && this.options.roles.roles) {
+            for (const k of Object.values(this.options.roles.roles)) {
+                for (const role of Object.keys(k)) {
+                    const user = k[role];
+                    if (this.getRoleTitle(role)) {
+                        if (!res[user]) {
+                            res[user] = [];
+                        }
+                        if (res[user].indexOf(role) < 0) {
+                            res[user].push(role);
+                        }
+                    }
+                }
+            }
+        }
+        return res;
+    }
+
     getUser(role) {
         if (this.roles && this.roles[role]) {
             return this.roles[role];
@@ -271,11 +418,13 @@ class SiapBridge {
         }
         const session = this.getSession(cred.username);
         session.cred = {username: cred.username, password: cred.password, role: cred.role || this.getRoleTitle(role)};
+        this.session = session;
         return Promise.resolve(session);
     }
 
     /**
-     * Perform works.
+     * Perform works. When bridge is processing a queue, each named work is
+     * tracked as the queue step.
      *
      * @param {array} works The works array
      * @param {workFinishedCallback} callback Finished callback
@@ -289,12 +438,18 @@ class SiapBridge {
         if (typeof works === 'function') {
             _works.push(works);
         }
+        const queue = this.queue && !this.queue.finished() ? this.queue : null;
+        if (queue) {
+            _works.forEach((work, idx) => {
+                if (Array.isArray(work) && typeof work[0] === 'string') {
+                    _works[idx] = this.trackStep(queue, work);
+                }
+            });
+        }
         return Work.works(_works, {
             done: (w, err) => {
                 if (err instanceof SiapAnnouncedError && err._queue) {
-                    const queue = err._queue;
-                    const callbackQueue = SiapQueue.createCallbackQueue({id: queue.getMappedData('info.id'), error: err.message}, queue.callback);
-                    SiapQueue.addQueue(callbackQueue);
+                    SiapQueue.publish(err._queue, SiapQueue.EVENT_ERROR, {error: err.message});
                 }
                 if (typeof callback === 'function') {
                     return Work.works(callback(w, err));
@@ -309,6 +464,79 @@ class SiapBridge {
         });
     }
 
+    /**
+     * Wrap named work handler to record its start and finish as queue step.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {array} work Named work
+     * @returns {array}
+     */
+    trackStep(queue, work) {
+        const [name, handler, ...rest] = work;
+        return [name, w => new Promise((resolve, reject) => {
+            const step = queue.startStep(name);
+            const f = err => {
+                this.saveFailure(queue, step, err)
+                    .then(() => {
+                        queue.endStep(step, err);
+                        reject(err);
+                    });
+            }
+            try {
+                handler(w)
+                    .then(res => {
+                        queue.endStep(step);
+                        resolve(res);
+                    })
+                    .catch(err => f(err));
+            }
+            catch (err) {
+                f(err);
+            }
+        }), ...rest];
+    }
+
+    /**
+     * Save screenshot, url, and page source of the last used session when
+     * a queue step failed. Saved artifacts are stored under `failures/<queue id>`
+     * of workdir and referenced by the step.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {object} step Failed step
+     * @param {Error|string} err The error
+     * @returns {Promise<any>}
+     */
+    saveFailure(queue, step, err) {
+        if (!this.session) {
+            return Promise.resolve();
+        }
+        try {
+            // queue id may be supplied by caller, keep it safe as directory name
+            const dir = path.join('failures', String(queue.id).replace(/[^a-zA-Z0-9\-_]/g, '_'));
+            const name = `${step.attempt}-${step.name}`;
+            const info = {
+                queue: queue.id,
+                step: step.name,
+                attempt: step.attempt,
+                error: err instanceof Error ? err.message : err,
+                time: new Date().toISOString(),
+            }
+            return this.session.saveFailure(dir, name, info)
+                .then(res => {
+                    if (res) {
+                        step.artifact = name;
+                        step.url = res.url;
+                        console.log('Queue %s step %s failure saved as %s', queue.toString(), step.name, name);
+                    }
+                })
+                .catch(err => console.error('Unable to save failure of %s: %s', queue.toString(), err));
+        }
+        catch (e) {
+            console.error('Unable to save failure of %s: %s', queue.toString(), e);
+            return Promise.resolve();
+        }
+    }
+
     end(stop = true) {
         const works = [];
         for (const session of Object.values(this.sessions)) {
@@ -25,7 +25,7 @@
 const fs = require('fs');
 const path = require('path');
 const Queue = require('@ntlab/work/queue');
-const { Siap, SiapAnnouncedError } = require('../../siap');
+const { Siap, SiapError, SiapAnnouncedError } = require('../../siap');
 const SiapPage = require('../../siap/page');
 const { By } = require('selenium-webdriver');
 const debug = require('debug')('siap:session');
@@ -165,19 +165,18 @@ class SiapSession {
         switch (page) {
             case this.PAGE_REKANAN:
             case this.PAGE_REKANAN_ALT:
-                const placeholder = page === this.PAGE_REKANAN ? 'perusahaan' : 'nik';
-                res.selector = '//h1[contains(@class,"card-title")]/h1[text()="%TITLE%"]/../../../..';
+                res.selector = this.siap.selector('rekanan.wrapper');
                 res.search = {
-                    input: By.xpath(`//input[contains(@placeholder,"Cari ${placeholder}")]`),
-                    submit: By.xpath('//button[text()="Cari Sekarang"]'),
-                    toggler: By.xpath('//button/div/p[text()="Filter Pencarian"]/../..'),
+                    input: this.siap.by(page === this.PAGE_REKANAN ? 'rekanan.search-name' : 'rekanan.search-nik'),
+                    submit: this.siap.by('rekanan.search-submit'),
+                    toggler: this.siap.by('rekanan.search-toggler'),
                 }
                 break;
             case this.PAGE_SPP:
                 res.search = {
-                    filter: By.xpath('//div[@class="container-form-filter-table"]/*/*/*/*[1]/div/button'),
-                    input: By.xpath('//div[@class="container-form-filter-table"]/*/*/*/*[2]/div/input'),
-                    submit: By.xpath('//div[@class="container-form-filter-table"]/*/*/*/*[3]/div/div'),
+                    filter: this.siap.by('page.search-filter'),
+                    input: this.siap.by('page.search-input'),
+                    submit: this.siap.by('page.search-submit'),
                 }
                 break;
         }
@@ -197,9 +196,9 @@ class SiapSession {
             options = options || {};
             const pageOptions = Object.assign({
                 title: title,
-                selector: '//header[text()="%TITLE%"]/../div[contains(@class,"chakra-modal__body")]',
-                tableSelector: './/table/..',
-                pageSelector: 'li/a[text()="%PAGE%"]',
+                selector: this.siap.selector('choose.wrapper'),
+                tableSelector: this.siap.selector('choose.table'),
+                pageSelector: this.siap.selector('choose.page'),
             }, options.page ? this.getPageOptions(options.page, title) : {});
             const searchIdx = options.searchIdx !== undefined ? options.searchIdx : 0;
             const page = new SiapPage(this.siap, pageOptions);
@@ -209,7 +208,7 @@ class SiapSession {
                 [w => page.search(Array.isArray(value) ? value[searchIdx] : value), w => page._search],
                 [w => page.each(el => [
                     [x => this.siap.getText([...values], el)],
-                    [x => el.findElement(By.xpath('.//button'))],
+                    [x => el.findElement(this.siap.by('choose.select'))],
                     [x => new Promise((resolve, reject) => {
                         const v = x.getRes(0);
                         const expected = Array.isArray(value) ? value.join('|') : value;
@@ -234,7 +233,7 @@ class SiapSession {
     }
 
     dismissModal(title) {
-        return this.siap.waitAndClick(By.xpath(`//header[text()="${title}"]/../button[@aria-label="Close"]`));
+        return this.siap.waitAndClick(this.siap.by('common.modal-close', {title}));
     }
 
     readValue(el, value, queue) {
@@ -249,7 +248,7 @@ class SiapSession {
         return this.works([
             [w => el.click()],
             [w => el.getAttribute('aria-controls')],
-            [w => this.siap.findElements(By.xpath(`//*[@id="${w.getRes(1)}"]/div[contains(text(),"${value}")]`))],
+            [w => this.siap.findElements(this.siap.by('common.combobox-option', {id: w.getRes(1), value}))],
             [w => Promise.reject(`Combobox value ${value} not available!`), w => w.getRes(2).length === 0],
             [w => w.getRes(2)[0].click(), w => w.getRes(2).length],
         ]);
@@ -258,7 +257,7 @@ class SiapSession {
     fillRadio(el, value) {
         return this.works([
             [w => el.getAttribute('value')],
-            [w => el.findElement(By.xpath('..')), w => w.getRes(0) == value],
+            [w => el.findElement(this.siap.by('common.parent')), w => w.getRes(0) == value],
             [w => w.getRes(1).click(), w => w.getRes(0) == value],
         ]);
     }
@@ -268,18 +267,18 @@ class SiapSession {
             [w => Promise.reject(`Date "${value}" is not valid!`), w => value instanceof Date && isNaN(value)],
             [w => el.click()],
             [w => el.getAttribute('readonly')],
-            [w => this.siap.findElements(By.xpath('//div[contains(@class,"flatpickr-calendar")]'))],
+            [w => this.siap.findElements(this.siap.by('datepicker.calendar'))],
             [w => new Promise((resolve, reject) => {
                 const q = new Queue([...w.getRes(3)], dtpicker => {
                     this.works([
                         [x => dtpicker.getAttribute('class')],
                         [x => Promise.resolve(x.getRes(0).indexOf('open') >= 0)],
-                        [x => dtpicker.findElement(By.xpath('.//input[@aria-label="Year"]')), x => x.getRes(1)],
+                        [x => dtpicker.findElement(this.siap.by('datepicker.year')), x => x.getRes(1)],
                         [x => x.getRes(2).getAttribute('value'), x => x.getRes(1)],
-                        [x => dtpicker.findElement(By.xpath('.//select[@aria-label="Month"]')), x => x.getRes(1)],
+                        [x => dtpicker.findElement(this.siap.by('datepicker.month')), x => x.getRes(1)],
                         [x => this.siap.fillInput(x.getRes(2), value.getFullYear()), x => x.getRes(1) && x.getRes(3) != value.getFullYear()],
                         [x => this.siap.fillSelect(x.getRes(4), value.getMonth() + 1), x => x.getRes(1)],
-                        [x => dtpicker.findElement(By.xpath(`.//span[contains(@class,"flatpickr-day") and text()="${value.getDate()}"]`)), x => x.getRes(1)],
+                        [x => dtpicker.findElement(this.siap.by('datepicker.day', {day: value.getDate()})), x => x.getRes(1)],
                         [x => x.getRes(7).click(), x => x.getRes(1)],
                     ])
                     .then(() => q.next())
@@ -317,7 +316,7 @@ class SiapSession {
     fillRole(el, value) {
         return this.works([
             [w => el.click()],
-            [w => this.doChoose('Pilih Pegawai', value, [By.xpath('./td[1]/div/span/div/span[1]')])],
+            [w => this.doChoose('Pilih Pegawai', value, [this.siap.by('choose.pegawai')])],
         ]);
     }
 
@@ -325,7 +324,7 @@ class SiapSession {
         const alt = (Array.isArray(value) ? value[0] : value).indexOf('\'') >= 0;
         return this.works([
             [w => el.click()],
-            [w => this.doChoose('Daftar Rekanan', value, [By.xpath('./td[2]/div/div/div[2]/span[1]'), By.xpath('./td[1]/div/div/div[2]/span[2]')], {page: alt ? this.PAGE_REKANAN_ALT : this.PAGE_REKANAN, searchIdx: alt ? 1 : 0}, values => {
+            [w => this.doChoose('Daftar Rekanan', value, [this.siap.by('rekanan.name'), this.siap.by('rekanan.nik')], {page: alt ? this.PAGE_REKANAN_ALT : this.PAGE_REKANAN, searchIdx: alt ? 1 : 0}, values => {
                 // clean nik
                 if (values.length > 1 && values[1]) {
                     values[1] = this.pickNumber(values[1]);
@@ -338,8 +337,8 @@ class SiapSession {
     fillKegiatan(el, value) {
         return this.works([
             [w => el.click()],
-            [w => this.siap.waitAndClick(By.xpath('//div[@class="css-j-3jq-af-a2fa"]'))],
-            [w => this.siap.findElements(By.xpath('//div[@class="css-j03r-a-cf3fa"]/div/span/div/span[2]'))],
+            [w => this.siap.waitAndClick(this.siap.by('kegiatan.toggle'))],
+            [w => this.siap.findElements(this.siap.by('kegiatan.items'))],
             [w => new Promise((resolve, reject) => {
                 let done = false;
                 const items = w.getRes(2);
@@ -347,7 +346,7 @@ class SiapSession {
                     this.works([
                         [x => item.getAttribute('innerText')],
                         [x => Promise.resolve(this.pickNumber(x.getRes(0)))],
-                        [x => item.findElement(By.xpath('../../../../div[2]/button')), x => value.startsWith(x.getRes(1))],
+                        [x => item.findElement(this.siap.by('kegiatan.select')), x => value.startsWith(x.getRes(1))],
                         [x => x.getRes(2).click(), x => value.startsWith(x.getRes(1))],
                         [x => Promise.resolve(done = true), x => value.startsWith(x.getRes(1))],
                     ])
@@ -369,17 +368,17 @@ class SiapSession {
     fillAfektasi(el, value, rekening) {
         let allocated = false;
         return this.works([
-            [w => this.siap.waitForPresence({el, data: By.xpath('.//div/div/div[@class="animate-pulse"]')}, false, 0)],
+            [w => this.siap.waitForPresence({el, data: this.siap.by('afektasi.loading')}, false, 0)],
             [w => this.siap.sleep(this.siap.opdelay)],
-            [w => this.siap.findElements(By.xpath('//div/div/div/div[@class="col-span-7"]/div/div[1]/div/span[1]'))],
+            [w => this.siap.findElements(this.siap.by('afektasi.rekening'))],
             [w => new Promise((resolve, reject) => {
                 const items = w.getRes(2);
                 const q = new Queue(items, item => {
                     this.works([
                         [x => item.getAttribute('innerText')],
                         [x => Promise.resolve(this.pickCurr(x.getRes(0)))],
-                        [x => item.findElement(By.xpath('../../../../../div[@class="col-span-5"]/div/div/input')), x => x.getRes(1) === rekening],
-                        [x => item.findElement(By.xpath('../../../../../div[@class="col-span-5"]/div/p[2]')), x => x.getRes(1) === rekening],
+                        [x => item.findElement(this.siap.by('afektasi.input')), x => x.getRes(1) === rekening],
+                        [x => item.findElement(this.siap.by('afektasi.available')), x => x.getRes(1) === rekening],
                         [x => Promise.resolve(x.getRes(3).getAttribute('innerText')), x => x.getRes(1) === rekening],
                         [x => Promise.resolve(parseFloat(this.pickCurr(x.getRes(4)))), x => x.getRes(1) === rekening],
                         [x => this.siap.fillInput(x.getRes(2), null, this.options.clearUsingKey), x => x.getRes(1) === rekening && x.getRes(5) >= value],
@@ -499,7 +498,7 @@ class SiapSession {
                 case 'spp':
                     if (this.spp.tgl && this.spp.keg && this.spp.rek && this.spp.nominal) {
                         data = {
-                            target: By.xpath('.//p[contains(@class,"form-label") and text()="Belanja"]/../div[2]'),
+                            target: this.siap.by('afektasi.field'),
                             value: this.spp.nominal,
                             onfill: (el, value) => this.fillAfektasi(el, value, this.spp.rek),
                         }
@@ -510,6 +509,7 @@ class SiapSession {
             }
             // form data and handler
             if (data) {
+                data.key = k;
                 switch (vtype) {
                     case 'RADIO':
                         data.onfill = (el, value) => this.fillRadio(el, value);
@@ -621,15 +621,135 @@ class SiapSession {
         if (!this.files) {
             this.files = [];
         }
+        // on dry run, form is filled but not submitted
+        const dryRun = queue.dryRun ? true : false;
         return this.works([
             [w => this.siap.sleep(this.siap.opdelay)],
+            [w => Promise.resolve(this.handleFormFill(name, queue, this.files))],
+            [w => Promise.resolve(this.captureForm(queue, name, w.getRes(1))), w => dryRun],
             [w => this.siap.fillInForm(
-                this.handleFormFill(name, queue, this.files),
+                w.getRes(1),
                 form,
-                submit,
+                dryRun ? null : submit,
                 options.wait)],
             [w => this.siap.sleep(this.siap.opdelay)],
             [w => this.siap.waitLoader()],
+        ])
+        .catch(err => Promise.reject(SiapError.tag(err, 'form')));
+    }
+
+    /**
+     * Capture form values which would have been submitted.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {string} name Form name
+     * @param {object[]} values Form values
+     */
+    captureForm(queue, name, values) {
+        if (!queue.forms) {
+            queue.forms = {};
+        }
+        queue.forms[name] = values.map(data => {
+            let value = data.value;
+            if (value && typeof value === 'object' && value.type === 'Buffer' && value.data) {
+                value = Buffer.from(value.data);
+            }
+            if (Buffer.isBuffer(value)) {
+                value = `<${value.length} bytes>`;
+            }
+            return {field: data.key, target: data.target.value, value};
+        });
+    }
+
+    /**
+     * Compare opened form against mapped values.
+     *
+     * Only plain inputs are compared, fields with custom handler or combo box
+     * are considered matched.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {string} name Form name
+     * @param {By} form Form selector
+     * @returns {Promise<boolean>}
+     */
+    compareForm(queue, name, form) {
+        let matched = true;
+        const values = this.handleFormFill(name, queue, [])
+            .filter(data => !data.onfill && data.value !== undefined && data.value !== null);
+        return this.works([
+            [w => this.siap.waitFor(form)],
+            [w => new Promise((resolve, reject) => {
+                const el = w.getRes(0);
+                const q = new Queue(values, data => {
+                    let value;
+                    this.works([
+                        [x => data.parent ? el.findElement(data.parent) : Promise.resolve(el)],
+                        [x => x.getRes(0).findElements(data.target)],
+                        [x => x.getRes(1)[0].getAttribute('role'), x => x.getRes(1).length],
+                        [x => x.getRes(1)[0].getAttribute('value'), x => x.getRes(1).length && x.getRes(2) !== 'combobox'],
+                        [x => Promise.resolve(value = x.getRes(3)), x => x.getRes(1).length && x.getRes(2) !== 'combobox'],
+                    ])
+                    .then(() => {
+                        if (typeof value === 'string' && value !== String(data.value)) {
+                            debug(`Form ${name}: ${data.key} differs, ${value} <> ${data.value}`);
+                            matched = false;
+                            q.done();
+                        } else {
+                            q.next();
+                        }
+                    })
+                    .catch(err => reject(err));
+                });
+                q.once('done', () => resolve(matched));
+            })],
+        ]);
+    }
+
+    /**
+     * Discard opened form by reloading current page.
+     *
+     * @returns {Promise<any>}
+     */
+    discardForm() {
+        return this.works([
+            [w => this.siap.getDriver().navigate().refresh()],
+            [w => this.siap.waitLoader()],
+        ]);
+    }
+
+    /**
+     * Save screenshot, url, and page source of current page for diagnosing
+     * a failure. Nothing is saved when browser is not opened.
+     *
+     * @param {string} dir Directory relative to workdir
+     * @param {string} name Artifact base name
+     * @param {object} info Additional information to save
+     * @returns {Promise<object>}
+     */
+    saveFailure(dir, name, info = {}) {
+        const driver = this.siap.driver;
+        if (!driver) {
+            return Promise.resolve();
+        }
+        const res = {};
+        const f = p => p.catch(err => debug(`Unable to capture ${name}: ${err}`));
+        return this.works([
+            [w => f(driver.getCurrentUrl())],
+            [w => f(driver.takeScreenshot())],
+            [w => f(driver.getPageSource())],
+            [w => new Promise((resolve, reject) => {
+                res.url = w.getRes(0);
+                if (w.getRes(1)) {
+                    res.screenshot = name + '.png';
+                    this.saveFile(this.genFilename(dir, res.screenshot), Buffer.from(w.getRes(1), 'base64'));
+                }
+                if (w.getRes(2)) {
+                    res.html = name + '.html';
+                    this.saveFile(this.genFilename(dir, res.html), w.getRes(2));
+                }
+                this.saveFile(this.genFilename(dir, name + '.json'), JSON.stringify(Object.assign({}, info, res), null, 2));
+                resolve(res);
+            })],
         ]);
     }
 
@@ -40,20 +40,100 @@ class SiapSppSession extends SiapSession {
     COL_TIPPY = 4
     COL_TWOLINE2 = 5
 
-    checkRekanan(queue, forceEdit = false) {
-        let clicker;
+    SP2D_TABS = ['Sudah Ditransfer', 'Belum Ditransfer']
+
+    // SP2D list layout, SP2D is matched by its SPM number, can be adjusted using
+    // `sp2dColumns` option
+    SP2D_COLUMNS = {
+        noSpp: [1, this.COL_TIPPY],
+        noSpm: [2, this.COL_SINGLE],
+        tglSpp: 3,
+        statusSpp: {index: 4, type: this.COL_STATUS, selector: 'column.spm-status'},
+        untukSpp: [6, this.COL_SINGLE, true],
+        nomSpp: 7,
+    }
+
+    // menu: SPP, SPM, and SP2D menu or tab, add: add button, entry: add entry if any,
+    // form: form title, title: list title, map: form map section, rekanan: paid to rekanan
+    SPP_KINDS = {
+        ls: {
+            menu: 'LS',
+            add: 'Tambah SPP LS',
+            entry: 'SPP LS (Barang & Jasa)',
+            form: 'Surat Permintaan Pembayaran Langsung (SPP-LS)',
+            title: 'Surat Permintaan Pembayaran (SPP) | Langsung',
+            map: 'spp',
+            rekanan: true,
+        },
+        up: {
+            menu: 'UP',
+            add: 'Tambah SPP UP',
+            form: 'Surat Permintaan Pembayaran Uang Persediaan (SPP-UP)',
+            title: 'Surat Permintaan Pembayaran (SPP) | Uang Persediaan',
+            map: 'spp-up',
+        },
+        gu: {
+            menu: 'GU',
+            add: 'Tambah SPP GU',
+            form: 'Surat Permintaan Pembayaran Ganti Uang Persediaan (SPP-GU)',
+            title: 'Surat Permintaan Pembayaran (SPP) | Ganti Uang Persediaan',
+            map: 'spp-gu',
+        },
+        tu: {
+            menu: 'TU',
+            add: 'Tambah SPP TU',
+            form: 'Surat Permintaan Pembayaran Tambahan Uang Persediaan (SPP-TU)',
+            title: 'Surat Permintaan Pembayaran (SPP) | Tambahan Uang Persediaan',
+            map: 'spp-tu',
+        },
+    }
+
+    /**
+     * Get SPP kind of queue as specified by `kind`, defaults to `ls`. Additional
+     * kinds can be defined using `sppKinds` option.
+     *
+     * @param {SiapQueue} queue The queue
+     * @returns {object}
+     */
+    getSppKind(queue) {
+        const name = (queue.data && queue.data.kind ? queue.data.kind : 'ls').toLowerCase();
+        const kinds = Object.assign({}, this.SPP_KINDS, this.options.sppKinds || {});
+        if (!kinds[name]) {
+            throw new SiapAnnouncedError(`Jenis SPP ${name} tidak didukung!`);
+        }
+        const kind = Object.assign({name}, kinds[name]);
+        if (!queue.getMap(kind.map)) {
+            throw new SiapAnnouncedError(`Pemetaan ${kind.map} untuk SPP ${name} tidak tersedia!`);
+        }
+        return kind;
+    }
+
+    /**
+     * Ensure rekanan of queue exists, create it when not found.
+     *
+     * When `forceEdit` is set, existing rekanan is updated, but if `compare`
+     * also set the update is skipped when the form already matches.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {boolean} forceEdit Always update existing rekanan
+     * @param {boolean} compare Compare existing rekanan before updating
+     * @returns {Promise<string>} One of created, updated, or matching
+     */
+    checkRekanan(queue, forceEdit = false, compare = false) {
+        let clicker, edit;
         const lembaga = this.getSafeStr(queue.getMappedData('info.nama'));
         const nik = queue.getMappedData('info.nik');
         const alt = lembaga.indexOf('\'') >= 0;
         const page = this.createPage(alt ? this.PAGE_REKANAN_ALT : this.PAGE_REKANAN, 'Daftar Rekanan');
+        const form = this.siap.by('rekanan.form');
         return this.works([
             [w => this.siap.navigate('Pengeluaran', 'Daftar Rekanan')],
             [w => this.siap.waitLoader()],
             [w => page.setup()],
             [w => page.search(alt ? nik : lembaga)],
             [w => page.each({filtered: true}, el => [
-                [x => this.siap.getText([By.xpath('./td[2]/div/div/div[2]/span[1]'), By.xpath('./td[1]/div/div/div[2]/span[2]')], el)],
-                [x => el.findElement(By.xpath('./td[4]/a'))],
+                [x => this.siap.getText([this.siap.by('rekanan.name'), this.siap.by('rekanan.nik')], el)],
+                [x => el.findElement(this.siap.by('rekanan.edit'))],
                 [x => new Promise((resolve, reject) => {
                     const values = x.getRes(0);
                     if (values.length > 1 && values[1]) {
@@ -67,32 +147,36 @@ class SiapSppSession extends SiapSession {
                     }
                 })],
             ])],
-            [w => this.siap.waitAndClick(By.xpath('//button[text()="Tambah Rekanan"]')), w => !clicker],
+            [w => Promise.resolve(edit = !clicker || forceEdit)],
+            [w => this.siap.waitAndClick(this.siap.by('rekanan.add')), w => !clicker],
             [w => clicker.click(), w => clicker && forceEdit],
-            [w => this.fillForm(queue, 'rekanan',
-                By.xpath('//h1/h1[text()="Tambah Rekanan"]/../../../..'),
-                By.xpath('//button[text()="Konfirmasi"]')), w => !clicker || forceEdit],
-            [w => this.siap.waitAndClick(By.xpath('//section/footer/button[1]')), w => !clicker || forceEdit],
-            [w => this.siap.waitLoader(), w => !clicker || forceEdit],
+            [w => this.compareForm(queue, 'rekanan', form).then(matched => edit = !matched), w => clicker && forceEdit && compare],
+            [w => this.fillForm(queue, 'rekanan', form,
+                this.siap.by('rekanan.submit')), w => edit],
+            [w => this.siap.waitAndClick(this.siap.by('rekanan.confirm')), w => edit && !queue.dryRun],
+            [w => this.siap.waitLoader(), w => edit && !queue.dryRun],
+            [w => this.discardForm(), w => (edit && queue.dryRun) || (clicker && forceEdit && !edit)],
+            [w => Promise.resolve(!clicker ? 'created' : (edit ? 'updated' : 'matching'))],
         ]);
     }
 
     queryData(queue, options) {
         let result;
-        const tgl = this.getDate(queue.getMappedData('spp.spp:TGL'));
-        const nominal = queue.getMappedData('spp.spp:NOMINAL');
-        const untuk = this.getSafeStr(queue.getMappedData('spp.spp:UNTUK'));
+        const kind = this.getSppKind(queue);
+        const tgl = this.getDate(queue.getMappedData(`${kind.map}.spp:TGL`));
+        const nominal = queue.getMappedData(`${kind.map}.spp:NOMINAL`);
+        const untuk = this.getSafeStr(queue.getMappedData(`${kind.map}.spp:UNTUK`));
         const title = options.title;
         const jenis = options.jenis;
         const nomor = options.nomor || 'SPP';
         const page = this.createPage(this.PAGE_SPP, title);
         const tvalues = {};
         const tselectors = {
-            [this.COL_ICON]: '*/*/*[2]/*[1]',
-            [this.COL_STATUS]: '*/*/*/p',
-            [this.COL_SINGLE]: '*/*/span',
-            [this.COL_TIPPY]: 'div[@class="custom-tippy"]/div/div/div/div[2]/span[1]',
-            [this.COL_TWOLINE2]: 'span[2]',
+            [this.COL_ICON]: 'column.icon',
+            [this.COL_STATUS]: 'column.status',
+            [this.COL_SINGLE]: 'column.single',
+            [this.COL_TIPPY]: 'column.tippy',
+            [this.COL_TWOLINE2]: 'column.twoline2',
         }
         // index, withIcon, withTippy
         const columns = {
@@ -103,21 +187,22 @@ class SiapSppSession extends SiapSession {
             statusSpp: [2, this.COL_STATUS],
         }
         const tippies = {};
-        for (const k in columns) {
+        for (const k of Object.keys(Object.assign({}, columns, options.columns))) {
             const v = options.columns && options.columns[k] ? options.columns[k] : columns[k];
             const idx = Array.isArray(v) ? v[0] : (typeof v === 'object' ? v.index : v);
             const colType = Array.isArray(v) ? v[1] : (typeof v === 'object' && v.type ? v.type : this.COL_ICON);
             const withTippy = Array.isArray(v) ? v[2] : (typeof v === 'object' && v.tippy ? v.tippy : false);
-            const selector = typeof v === 'object' && v.selector ? v.selector : tselectors[colType];
-            tvalues[k] = By.xpath(`./td[${idx}]/${selector}`);
+            const selector = this.siap.selector(typeof v === 'object' && v.selector ? v.selector : tselectors[colType]);
+            const cell = this.siap.selector('page.cell', {index: idx});
+            tvalues[k] = By.xpath(`${cell}/${selector}`);
             if (withTippy) {
-                tippies[k] = By.xpath(`./td[${idx}]/div[@class="custom-tippy"]/div`);
+                tippies[k] = By.xpath(`${cell}/${this.siap.selector('column.tippy-popper')}`);
             }
         }
         return this.works([
             [w => this.siap.waitLoader()],
             [w => page.setup()],
-            [w => this.siap.waitAndClick(By.xpath(`//button/p[text()="${jenis}"]/..`))],
+            [w => this.siap.waitAndClick(this.siap.by('common.tab', {title: jenis}))],
             [w => this.siap.waitSpinner(w.getRes(2))],
             [w => page.search(untuk, 'Keterangan')],
             [w => page.each({filtered: true}, el => [
@@ -150,15 +235,21 @@ class SiapSppSession extends SiapSession {
                         });
                         return res;
                     }
-                    const states = f(
+                    const matches = typeof options.matches === 'function' ? options.matches(values) : [
                         [this.dateSerial(tglSpp), this.dateSerial(tgl)],
                         [nomSpp, nominal],
-                        [this.getSafeStr(untukSpp), untuk]);
+                        [this.getSafeStr(untukSpp), untuk],
+                    ];
+                    const states = f(...matches);
                     debug(statusSpp, ...states.info);
                     if (states.okay) {
                         result = el;
-                        queue[nomor] = noSpp;
-                        queue.STATUS = statusSpp;
+                        if (typeof options.onmatch === 'function') {
+                            options.onmatch({nomor: noSpp, tgl: tglSpp, status: statusSpp});
+                        } else {
+                            queue[nomor] = noSpp;
+                            queue.STATUS = statusSpp;
+                        }
                         reject(SiapPage.stop());
                     } else {
                         resolve();
@@ -171,7 +262,7 @@ class SiapSppSession extends SiapSession {
 
     querySpp(queue, options) {
         options = options || {};
-        const title = options.title || 'Surat Permintaan Pembayaran (SPP) | Langsung';
+        const title = options.title || this.getSppKind(queue).title;
         const fVerified = options.flags === undefined ? true : (options.flags & this.VERIFIED) === this.VERIFIED;
         const fUnverified = options.flags === undefined ? true : (options.flags & this.UNVERIFIED) === this.UNVERIFIED;
         const fDeleted = options.flags === undefined ? true : (options.flags & this.DELETED) === this.DELETED;
@@ -182,20 +273,30 @@ class SiapSppSession extends SiapSession {
         ]);
     }
 
-    checkSpp(queue) {
+    findSpp(queue) {
         return this.works([
-            [w => this.siap.navigate('Pengeluaran', 'SPP', 'Pembuatan', 'LS')],
+            [w => Promise.resolve(this.getSppKind(queue))],
+            [w => this.siap.navigate('Pengeluaran', 'SPP', 'Pembuatan', w.getRes(0).menu)],
             [w => this.querySpp(queue)],
-            [w => this.siap.waitAndClick(By.xpath('//button/span/p[text()="Tambah SPP LS"]/../..')), w => !w.getRes(1)],
-            [w => this.siap.waitAndClick(By.xpath('//a/span/p[text()="SPP LS (Barang & Jasa)"]/../..')), w => !w.getRes(1)],
+        ]);
+    }
+
+    checkSpp(queue) {
+        let kind;
+        return this.works([
+            [w => Promise.resolve(kind = this.getSppKind(queue))],
+            [w => this.findSpp(queue)],
+            [w => this.siap.waitAndClick(this.siap.by('spp.add', {title: kind.add})), w => !w.getRes(1)],
+            [w => this.siap.waitAndClick(this.siap.by('spp.entry', {title: kind.entry})), w => !w.getRes(1) && kind.entry],
             [w => Promise.resolve(this.spp = {}), w => !w.getRes(1)],
-            [w => this.fillForm(queue, 'spp',
-                By.xpath('//h1[text()="Surat Permintaan Pembayaran Langsung (SPP-LS)"]/../../../../..'),
-                By.xpath('//button/span/span[text()="Konfirmasi"]/../..')), w => !w.getRes(1)],
-            [w => this.siap.waitAndClick(By.xpath('//button[text()="Tambah Sekarang"]')), w => !w.getRes(1)],
-            [w => this.siap.waitLoader(), w => !w.getRes(1)],
-            [w => this.querySpp(queue, {flags: this.UNVERIFIED}), w => !w.getRes(1)],
+            [w => this.fillForm(queue, kind.map,
+                this.siap.by('spp.form', {title: kind.form}),
+                this.siap.by('spp.submit')), w => !w.getRes(1)],
+            [w => this.siap.waitAndClick(this.siap.by('spp.confirm')), w => !w.getRes(1) && !queue.dryRun],
+            [w => this.siap.waitLoader(), w => !w.getRes(1) && !queue.dryRun],
+            [w => this.querySpp(queue, {flags: this.UNVERIFIED}), w => !w.getRes(1) && !queue.dryRun],
             [w => Promise.reject(new SiapAnnouncedError(`SPP ${queue.getMappedData('info.nama')} dihapus, diabaikan!`)), w => w.getRes(1) && queue.STATUS === 'Dihapus'],
+            [w => this.discardForm(), w => !w.getRes(1) && queue.dryRun],
         ]);
     }
 
@@ -205,18 +306,94 @@ class SiapSppSession extends SiapSession {
             [w => Promise.reject('SPP belum dibuat!'), w => !queue.SPP],
             [w => this.siap.navigate('Pengeluaran', 'SPP', 'Verifikasi')],
             [w => this.querySpp(queue, {title, flags: this.VERIFIED | this.UNVERIFIED})],
-            [w => w.getRes(2).findElement(By.xpath('./td[9]/div/button')), w => w.getRes(2) && queue.STATUS === status],
+            [w => w.getRes(2).findElement(this.siap.by('action.menu')), w => w.getRes(2) && queue.STATUS === status],
             [w => w.getRes(3).click(), w => w.getRes(2) && queue.STATUS === status],
-            [w => w.getRes(3).findElement(By.xpath('../div/div/button/span/p[text()="Verifikasi"]/../..')), w => w.getRes(2) && queue.STATUS === status],
+            [w => w.getRes(3).findElement(this.siap.by('action.item', {title: 'Verifikasi'})), w => w.getRes(2) && queue.STATUS === status],
             [w => w.getRes(5).click(), w => w.getRes(2) && queue.STATUS === status],
             [w => this.fillForm(queue, 'verifikasi-spp',
-                By.xpath('//header[text()="Verifikasi (SPP)"]/../div[contains(@class,"chakra-modal__body")]'),
-                By.xpath('//button[text()="Setujui Sekarang"]')), w => w.getRes(2) && queue.STATUS === status],
+                this.siap.by('verifikasi.form'),
+                this.siap.by('verifikasi.submit')), w => w.getRes(2) && queue.STATUS === status],
             [w => this.dismissModal('Verifikasi SPP Berhasil'), w => w.getRes(2) && queue.STATUS === status],
             [w => this.querySpp(queue, {title, flags: this.VERIFIED}), w => w.getRes(2) && queue.STATUS === status],
         ]);
     }
 
+    /**
+     * Delete unverified SPP with reason. The SPP is queried again after deletion
+     * to ensure it has been deleted.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {string} reason Deletion reason
+     * @returns {Promise<string>} Either deleted or already-deleted
+     */
+    deleteSpp(queue, reason) {
+        const status = 'Belum Diverifikasi';
+        let outcome;
+        return this.works([
+            [w => this.findSpp(queue)],
+            [w => Promise.reject(new SiapAnnouncedError(`SPP ${queue.getMappedData('info.nama')} tidak ditemukan!`)), w => !w.getRes(0)],
+            [w => Promise.reject(new SiapAnnouncedError(`SPP ${queue.SPP} sudah ${queue.STATUS.toLowerCase()}, tidak dapat dihapus!`)), w => queue.STATUS !== status && queue.STATUS !== 'Dihapus'],
+            [w => Promise.resolve(outcome = queue.STATUS === status ? 'deleted' : 'already-deleted')],
+            [w => w.getRes(0).findElement(this.siap.by('action.menu')), w => queue.STATUS === status],
+            [w => w.getRes(4).click(), w => queue.STATUS === status],
+            [w => w.getRes(4).findElement(this.siap.by('action.item', {title: 'Hapus'})), w => queue.STATUS === status],
+            [w => w.getRes(6).click(), w => queue.STATUS === status],
+            [w => this.fillReason('Hapus SPP', reason, 'Hapus Sekarang'), w => queue.STATUS === status],
+            [w => this.siap.waitLoader(), w => queue.STATUS === status],
+            [w => Promise.resolve(queue.STATUS = null), w => queue.STATUS === status],
+            [w => this.querySpp(queue), w => outcome === 'deleted'],
+            [w => Promise.reject(`SPP ${queue.SPP} gagal dihapus, status ${queue.STATUS ? queue.STATUS.toLowerCase() : 'tidak diketahui'}!`), w => queue.STATUS !== 'Dihapus'],
+            [w => Promise.resolve(outcome)],
+        ]);
+    }
+
+    /**
+     * Reject SPP on verification with reason. The SPP is queried again after
+     * rejection to report its actual status. On retry, SPP which is no longer
+     * awaiting verification is assumed to be rejected by previous attempt.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {string} reason Rejection reason
+     * @returns {Promise<string>} Either rejected or already-rejected
+     */
+    rejectSpp(queue, reason) {
+        const title = 'Surat Permintaan Pembayaran (SPP) | Verifikasi';
+        const status = 'Belum Diverifikasi';
+        let outcome;
+        return this.works([
+            [w => this.siap.navigate('Pengeluaran', 'SPP', 'Verifikasi')],
+            [w => this.querySpp(queue, {title, flags: this.VERIFIED | this.UNVERIFIED})],
+            [w => Promise.reject(new SiapAnnouncedError(`SPP ${queue.getMappedData('info.nama')} tidak ditemukan!`)), w => !w.getRes(1) && !queue.retryCount],
+            [w => Promise.reject(new SiapAnnouncedError(`SPP ${queue.SPP} sudah ${queue.STATUS.toLowerCase()}, tidak dapat ditolak!`)), w => w.getRes(1) && queue.STATUS !== status && queue.STATUS !== 'Ditolak'],
+            [w => Promise.resolve(outcome = w.getRes(1) && queue.STATUS === status ? 'rejected' : 'already-rejected')],
+            [w => w.getRes(1).findElement(this.siap.by('action.menu')), w => outcome === 'rejected'],
+            [w => w.getRes(5).click(), w => outcome === 'rejected'],
+            [w => w.getRes(5).findElement(this.siap.by('action.item', {title: 'Verifikasi'})), w => outcome === 'rejected'],
+            [w => w.getRes(7).click(), w => outcome === 'rejected'],
+            [w => this.siap.waitAndClick(this.siap.by('verifikasi.reject')), w => outcome === 'rejected'],
+            [w => this.fillReason('Tolak SPP', reason, 'Tolak Sekarang'), w => outcome === 'rejected'],
+            [w => this.siap.waitLoader(), w => outcome === 'rejected'],
+            [w => Promise.resolve(queue.STATUS = null), w => outcome === 'rejected'],
+            [w => this.siap.navigate('Pengeluaran', 'SPP', 'Verifikasi'), w => outcome === 'rejected'],
+            [w => this.querySpp(queue, {title, flags: this.VERIFIED | this.UNVERIFIED}), w => outcome === 'rejected'],
+            [w => Promise.reject(`SPP ${queue.SPP} gagal ditolak!`), w => queue.STATUS === status],
+            // rejected SPP is no longer awaiting verification
+            [w => Promise.resolve(queue.STATUS = 'Ditolak'), w => outcome === 'already-rejected' || !w.getRes(14)],
+            [w => Promise.resolve(outcome)],
+        ]);
+    }
+
+    fillReason(title, reason, submit) {
+        return this.works([
+            [w => this.siap.waitFor(this.siap.by('common.modal', {title}))],
+            [w => w.getRes(0).findElement(this.siap.by('reason.input'))],
+            [w => w.getRes(1).sendKeys(reason)],
+            [w => this.siap.sleep(this.siap.opdelay)],
+            [w => w.getRes(0).findElement(this.siap.by('reason.submit', {title: submit}))],
+            [w => w.getRes(4).click()],
+        ]);
+    }
+
     querySpm(queue, options) {
         options = options || {};
         const title = options.title || 'Pengeluaran';
@@ -225,7 +402,7 @@ class SiapSppSession extends SiapSession {
             tglSpp: 3,
             untukSpp: [6, this.COL_SINGLE, true],
             nomSpp: 7,
-            statusSpp: {index: 4, type: this.COL_STATUS, selector: '*/*/p'},
+            statusSpp: {index: 4, type: this.COL_STATUS, selector: 'column.spm-status'},
         }
         const fVerified = options.flags === undefined ? true : (options.flags & this.VERIFIED) === this.VERIFIED;
         const fUnverified = options.flags === undefined ? true : (options.flags & this.UNVERIFIED) === this.UNVERIFIED;
@@ -235,21 +412,64 @@ class SiapSppSession extends SiapSession {
         ]);
     }
 
-    checkVerifikasiSpm(queue, status = 'Belum Disetujui') {
+    findSpm(queue) {
         return this.works([
-            [w => Promise.reject('SPP belum dibuat!'), w => !queue.SPP],
+            [w => Promise.resolve(this.getSppKind(queue))],
             [w => this.siap.navigate('Pengeluaran', 'SPM', 'Pembuatan')],
             [w => this.siap.waitLoader()],
-            [w => this.siap.waitAndClick(By.xpath('//button/p[text()="LS"]/..'))],
+            [w => this.siap.waitAndClick(this.siap.by('common.tab', {title: w.getRes(0).menu}))],
             [w => this.siap.waitSpinner(w.getRes(3))],
             [w => this.querySpm(queue)],
-            [w => w.getRes(5).findElement(By.xpath('./td[9]/div/button')), w => w.getRes(5) && queue.STATUS === status],
-            [w => w.getRes(6).click(), w => w.getRes(5) && queue.STATUS === status],
-            [w => w.getRes(6).findElement(By.xpath('../div/div/button/span/p[text()="Persetujuan"]/../..')), w => w.getRes(5) && queue.STATUS === status],
-            [w => w.getRes(8).click(), w => w.getRes(5) && queue.STATUS === status],
-            [w => this.siap.waitAndClick(By.xpath('//header[text()="Persetujuan SPM"]/../footer/button[text()="Setujui Sekarang"]')), w => w.getRes(5) && queue.STATUS === status],
-            [w => this.siap.waitLoader(), w => w.getRes(5) && queue.STATUS === status],
-            [w => this.querySpm(queue, this.VERIFIED), w => w.getRes(5) && queue.STATUS === status],
+        ]);
+    }
+
+    querySp2d(queue, options) {
+        options = options || {};
+        const title = options.title || 'Pengeluaran';
+        const columns = options.columns || Object.assign({}, this.SP2D_COLUMNS, this.options.sp2dColumns || {});
+        // an SPM produces only one SP2D
+        const matches = values => [[this.getSafeStr(values.noSpm), this.getSafeStr(queue.SPM)]];
+        let found = false;
+        const onmatch = res => {
+            const dt = res.tgl;
+            found = true;
+            queue.SP2D = res.nomor;
+            queue.SP2D_DATE = dt instanceof Date && !isNaN(dt) ?
+                [dt.getFullYear(), dt.getMonth() + 1, dt.getDate()].map(v => v.toString().padStart(2, '0')).join('-') : dt;
+            queue.SP2D_STATUS = res.status;
+        }
+        const tabs = options.tabs || this.SP2D_TABS;
+        return this.works([
+            [w => Promise.reject('SPM belum dibuat!'), w => !queue.SPM],
+            ...tabs.map(jenis => [
+                w => this.queryData(queue, {title, columns, jenis, nomor: 'SP2D', matches, onmatch}),
+                w => !found,
+            ]),
+        ]);
+    }
+
+    findSp2d(queue) {
+        return this.works([
+            [w => Promise.resolve(this.getSppKind(queue))],
+            [w => this.siap.navigate('Pengeluaran', 'SP2D', 'Pembuatan')],
+            [w => this.siap.waitLoader()],
+            [w => this.siap.waitAndClick(this.siap.by('common.tab', {title: w.getRes(0).menu}))],
+            [w => this.siap.waitSpinner(w.getRes(3))],
+            [w => this.querySp2d(queue)],
+        ]);
+    }
+
+    checkVerifikasiSpm(queue, status = 'Belum Disetujui') {
+        return this.works([
+            [w => Promise.reject('SPP belum dibuat!'), w => !queue.SPP],
+            [w => this.findSpm(queue)],
+            [w => w.getRes(1).findElement(this.siap.by('action.menu')), w => w.getRes(1) && queue.STATUS === status],
+            [w => w.getRes(2).click(), w => w.getRes(1) && queue.STATUS === status],
+            [w => w.getRes(2).findElement(this.siap.by('action.item', {title: 'Persetujuan'})), w => w.getRes(1) && queue.STATUS === status],
+            [w => w.getRes(4).click(), w => w.getRes(1) && queue.STATUS === status],
+            [w => this.siap.waitAndClick(this.siap.by('spm.approve')), w => w.getRes(1) && queue.STATUS === status],
+            [w => this.siap.waitLoader(), w => w.getRes(1) && queue.STATUS === status],
+            [w => this.querySpm(queue, this.VERIFIED), w => w.getRes(1) && queue.STATUS === status],
         ]);
     }
 }
@@ -35,31 +35,52 @@ class SiapSppBridge extends SiapBridge {
     }
 
     createSpp(queue) {
+        // a step is skipped when it or the last step of its role has been completed
+        const pending = (...steps) => w => !steps.some(step => queue.isCompleted(step));
+        // on dry run, only BP steps are performed
+        const proceed = (...steps) => w => !queue.dryRun && pending(...steps)(w);
+        // SP2D is only tracked when enabled and SPM has been approved
+        const sp2d = w => queue.trackSp2d && queue.SPM && !queue.SP2D && proceed('sp2d-query')(w);
         return this.do([
             // switch role
             ['role', w => this.checkRole(queue)],
             // --- BP ---
-            ['bp', w => this.doAs(this.ROLE_BP)],
-            ['bp-login', w => w.bp.login()],
-            ['bp-rekanan', w => w.bp.checkRekanan(queue, this.alwaysEditRekanan)],
-            ['bp-spp', w => w.bp.checkSpp(queue)],
+            ['bp', w => this.doAs(this.ROLE_BP), pending('bp-spp')],
+            ['bp-login', w => w.bp.login(), pending('bp-spp')],
+            ['bp-rekanan', w => w.bp.getSppKind(queue).rekanan ? w.bp.checkRekanan(queue, this.alwaysEditRekanan) : Promise.resolve(), pending('bp-rekanan', 'bp-spp')],
+            ['bp-spp', w => w.bp.checkSpp(queue), pending('bp-spp')],
+            ['bp-notify', w => Promise.resolve(SiapQueue.publish(queue, SiapQueue.EVENT_SPP_CREATED, {spp: queue.SPP})), w => queue.SPP && proceed('bp-notify')(w)],
             // --- PPK ---
-            ['ppk', w => this.doAs(this.ROLE_PPK)],
-            ['ppk-login', w => w.ppk.login()],
-            ['ppk-verif', w => w.ppk.checkVerifikasiSpp(queue)],
+            ['ppk', w => this.doAs(this.ROLE_PPK), proceed('ppk-verif')],
+            ['ppk-login', w => w.ppk.login(), proceed('ppk-verif')],
+            ['ppk-verif', w => w.ppk.checkVerifikasiSpp(queue), proceed('ppk-verif')],
+            ['ppk-notify', w => Promise.resolve(SiapQueue.publish(queue, SiapQueue.EVENT_SPP_VERIFIED, {spp: queue.SPP})), w => queue.SPP && proceed('ppk-notify')(w)],
             // --- PA ---
-            ['pa', w => this.doAs(this.ROLE_PA)],
-            ['pa-login', w => w.pa.login()],
-            ['pa-verif', w => w.pa.checkVerifikasiSpm(queue)],
+            ['pa', w => this.doAs(this.ROLE_PA), proceed('pa-verif')],
+            ['pa-login', w => w.pa.login(), proceed('pa-verif')],
+            ['pa-verif', w => w.pa.checkVerifikasiSpm(queue), proceed('pa-verif')],
+            ['pa-notify', w => Promise.resolve(SiapQueue.publish(queue, SiapQueue.EVENT_SPM_APPROVED, {spp: queue.SPP, spm: queue.SPM})), w => queue.SPM && proceed('pa-notify')(w)],
+            // --- SP2D ---
+            ['sp2d', w => this.doAs(this.ROLE_BP), sp2d],
+            ['sp2d-login', w => w.sp2d.login(), sp2d],
+            ['sp2d-query', w => w.sp2d.findSp2d(queue), sp2d],
+            ['sp2d-notify', w => Promise.resolve(SiapQueue.publish(queue, SiapQueue.EVENT_SP2D_CREATED, Object.assign({spp: queue.SPP, spm: queue.SPM}, queue.getSp2d()))), w => queue.SP2D && proceed('sp2d-notify')(w)],
             // result
             ['res', w => new Promise((resolve, reject) => {
-                if (queue.SPP && queue.callback) {
-                    const data = {id: queue.getMappedData('info.id'), spp: queue.SPP};
+                if (queue.dryRun) {
+                    const res = {dryRun: true, forms: queue.forms || {}};
+                    if (queue.SPP) {
+                        res.spp = queue.SPP;
+                    }
+                    return resolve(res);
+                }
+                if (queue.SPP) {
+                    const data = {spp: queue.SPP};
                     if (queue.SPM) {
                         data.spm = queue.SPM;
                     }
-                    const callbackQueue = SiapQueue.createCallbackQueue(data, queue.callback);
-                    SiapQueue.addQueue(callbackQueue);
+                    Object.assign(data, queue.getSp2d());
+                    SiapQueue.publish(queue, SiapQueue.EVENT_DONE, data);
                 }
                 resolve(queue.SPP ? queue.SPP : false);
             })],
@@ -69,6 +90,120 @@ class SiapSppBridge extends SiapBridge {
             ];
         });
     }
+
+    checkSp2d(queue) {
+        return this.do([
+            // switch role
+            ['role', w => this.checkRole(queue)],
+            // --- SP2D ---
+            ['sp2d', w => this.doAs(this.ROLE_BP)],
+            ['sp2d-login', w => w.sp2d.login()],
+            ['sp2d-query', w => w.sp2d.findSp2d(queue)],
+            // result
+            ['res', w => new Promise((resolve, reject) => {
+                const data = Object.assign({spp: queue.SPP, spm: queue.SPM}, queue.getSp2d());
+                if (queue.SP2D) {
+                    SiapQueue.publish(queue, SiapQueue.EVENT_SP2D_CREATED, data);
+                    SiapQueue.publish(queue, SiapQueue.EVENT_DONE, data);
+                }
+                resolve(Object.assign({found: queue.SP2D ? true : false}, data));
+            })],
+        ], (w, err) => {
+            return [
+                [e => this.end(this.autoClose)],
+            ];
+        });
+    }
+
+    deleteSpp(queue) {
+        const action = queue.data.action || 'delete';
+        const reason = queue.data.reason;
+        return this.do([
+            // switch role
+            ['role', w => this.checkRole(queue)],
+            // --- BP ---
+            ['bp', w => this.doAs(this.ROLE_BP), w => action === 'delete'],
+            ['bp-login', w => w.bp.login(), w => action === 'delete'],
+            ['bp-delete', w => w.bp.deleteSpp(queue, reason), w => action === 'delete'],
+            // --- PPK ---
+            ['ppk', w => this.doAs(this.ROLE_PPK), w => action === 'reject'],
+            ['ppk-login', w => w.ppk.login(), w => action === 'reject'],
+            ['ppk-reject', w => w.ppk.rejectSpp(queue, reason), w => action === 'reject'],
+            // result
+            ['res', w => new Promise((resolve, reject) => {
+                const data = {action, outcome: action === 'delete' ? w.getRes('bp-delete') : w.getRes('ppk-reject'), spp: queue.SPP, status: queue.STATUS};
+                SiapQueue.publish(queue, SiapQueue.EVENT_DONE, data);
+                resolve(data);
+            })],
+        ], (w, err) => {
+            return [
+                [e => this.end(this.autoClose)],
+            ];
+        });
+    }
+
+    syncRekanan(queue) {
+        return this.do([
+            // switch role
+            ['role', w => this.checkRole(queue)],
+            // --- BP ---
+            ['bp', w => this.doAs(this.ROLE_BP)],
+            ['bp-login', w => w.bp.login()],
+            ['bp-rekanan', w => w.bp.checkRekanan(queue, queue.data.update !== false, true)],
+            // result
+            ['res', w => new Promise((resolve, reject) => {
+                const data = {rekanan: queue.getMappedData('info.nama'), status: w.getRes('bp-rekanan')};
+                if (queue.dryRun) {
+                    data.dryRun = true;
+                }
+                SiapQueue.publish(queue, SiapQueue.EVENT_DONE, data);
+                resolve(data);
+            })],
+        ], (w, err) => {
+            return [
+                [e => this.end(this.autoClose)],
+            ];
+        });
+    }
+
+    querySppStatus(queue) {
+        const res = {found: false};
+        const hasSpp = w => queue.SPP && queue.STATUS !== 'Dihapus';
+        return this.do([
+            // switch role
+            ['role', w => this.checkRole(queue)],
+            // --- BP ---
+            ['bp', w => this.doAs(this.ROLE_BP)],
+            ['bp-login', w => w.bp.login()],
+            ['bp-spp', w => w.bp.findSpp(queue)],
+            ['bp-status', w => Promise.resolve(Object.assign(res, {found: true, spp: queue.SPP, status: queue.STATUS})), w => queue.SPP],
+            // --- PA ---
+            ['pa', w => this.doAs(this.ROLE_PA), hasSpp],
+            ['pa-login', w => w.pa.login(), hasSpp],
+            ['pa-spm', w => w.pa.findSpm(queue), hasSpp],
+            ['pa-status', w => Promise.resolve(Object.assign(res, {spm: queue.SPM, spmStatus: queue.STATUS})), w => hasSpp(w) && w.getRes('pa-spm')],
+            // result
+            ['res', w => new Promise((resolve, reject) => {
+                // lookup result is told apart from SPP creation result by its type
+                const data = {type: queue.type, found: res.found};
+                if (res.found) {
+                    // keep SPP status as queue status
+                    queue.STATUS = res.status;
+                    Object.assign(data, {spp: res.spp, status: res.status});
+                    if (res.spm) {
+                        data.spm = res.spm;
+                    }
+                }
+                // not found is also sent so it can be told apart from pending lookup
+                SiapQueue.publish(queue, SiapQueue.EVENT_DONE, data);
+                resolve(res);
+            })],
+        ], (w, err) => {
+            return [
+                [e => this.end(this.autoClose)],
+            ];
+        });
+    }
 }
 
 module.exports = SiapSppBridge;
\ No newline at end of file
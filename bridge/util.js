@@ -25,6 +25,8 @@
 const SiapBridge = require('.');
 const SiapSession = require('./session');
 const Queue = require('@ntlab/work/queue');
+const Work = require('@ntlab/work/work');
+const SiapSelector = require('../siap/selector');
 
 class SiapUtilBridge extends SiapBridge {
 
@@ -58,6 +60,175 @@ class SiapUtilBridge extends SiapBridge {
         });
     }
 
+    /**
+     * Check catalogued selectors of each page defined in selector catalogue.
+     * Each role is logged in and its pages are visited, login page is checked
+     * using the first role.
+     *
+     * @param {SiapQueue} queue The queue
+     * @returns {Promise<object>}
+     */
+    checkHealth(queue) {
+        let keg;
+        if (this.options.roles && this.options.roles.roles) {
+            keg = Object.keys(this.options.roles.roles)[0];
+        }
+        const report = {pages: []};
+        const works = [
+            ['role', w => Promise.resolve(this.switchRole(keg))],
+        ];
+        const sessions = {};
+        const selectors = SiapSelector.from(this.options);
+        const pages = selectors.pages;
+        const roles = [];
+        for (const page of Object.values(pages)) {
+            if (page.role && roles.indexOf(page.role) < 0) {
+                roles.push(page.role);
+            }
+        }
+        roles.forEach((role, idx) => {
+            const loggedIn = w => w.getRes(`${role}-login`);
+            works.push(
+                [role, w => this.doAs(role).then(sess => sessions[role] = sess)],
+                [`${role}-start`, w => sessions[role].start(), w => idx === 0],
+                ['landing', w => this.checkPage(sessions[role], 'landing', pages.landing, report), w => idx === 0 && pages.landing],
+                [`${role}-goto`, w => sessions[role].siap.gotoPenatausahaan(), w => idx === 0],
+                ['login', w => this.checkPage(sessions[role], 'login', pages.login, report), w => idx === 0 && pages.login],
+                [`${role}-login`, w => sessions[role].login()
+                    .then(() => true)
+                    .catch(err => {
+                        report.pages.push({page: `${role}-login`, role, error: err instanceof Error ? err.message : err});
+                        return false;
+                    })
+                ],
+            );
+            for (const [name, page] of Object.entries(pages)) {
+                if (page.role === role) {
+                    works.push([name, w => this.checkPage(sessions[role], name, page, report), loggedIn]);
+                }
+            }
+        });
+        works.push(
+            ['report', w => Promise.resolve(this.createHealthReport(selectors, report))],
+        );
+        return this.do(works, (w, err) => {
+            return [
+                [e => this.end(this.autoClose)],
+            ];
+        });
+    }
+
+    /**
+     * Check selectors of a page.
+     *
+     * @param {SiapSession} sess Session object
+     * @param {string} name Page name
+     * @param {object} page Page definition
+     * @param {object} report Health report
+     * @returns {Promise<object>}
+     */
+    checkPage(sess, name, page, report) {
+        const res = {page: name, ok: [], broken: []};
+        if (page.role) {
+            res.role = page.role;
+        }
+        let wrapper;
+        const item = data => typeof data === 'string' ? {name: data, vars: page.vars} :
+            {name: data.name, vars: Object.assign({}, page.vars, data.vars)};
+        const check = data => new Promise((resolve, reject) => {
+            const { name, vars } = item(data);
+            let selector, by;
+            try {
+                selector = sess.siap.selector(name, vars);
+                by = sess.siap.by(name, vars);
+            }
+            catch (err) {
+                res.broken.push({name, error: err.message});
+                return resolve();
+            }
+            const relative = selector.substr(0, 1) === '.';
+            Work.works([
+                [w => Promise.reject('Wrapper not found!'), w => relative && !wrapper],
+                [w => sess.siap.findElements(relative ? {el: wrapper, data: by} : by)],
+            ])
+            .then(elements => {
+                if (elements.length) {
+                    res.ok.push(name);
+                    if (name === page.wrapper) {
+                        wrapper = elements[0];
+                    }
+                } else {
+                    res.broken.push({name});
+                }
+                resolve();
+            })
+            .catch(err => {
+                res.broken.push({name, error: err instanceof Error ? err.message : err});
+                resolve();
+            });
+        });
+        return Work.works([
+            [w => sess.siap.navigate(...page.menu), w => Array.isArray(page.menu) && page.menu.length],
+            [w => sess.siap.waitLoader()],
+            [w => sess.siap.waitAndClick(sess.siap.by(item(page.click).name, item(page.click).vars)), w => page.click],
+            [w => sess.siap.waitLoader(), w => page.click],
+            [w => sess.siap.sleep(sess.siap.opdelay)],
+            [w => check(page.wrapper), w => page.wrapper],
+            [w => new Promise((resolve, reject) => {
+                const q = new Queue([...(page.selectors || [])], data => {
+                    check(data)
+                        .then(() => q.next());
+                });
+                q.once('done', () => resolve());
+            })],
+        ])
+        .catch(err => {
+            res.error = err instanceof Error ? err.message : err;
+        })
+        .then(() => {
+            report.pages.push(res);
+            return res;
+        });
+    }
+
+    /**
+     * Summarize and print health report.
+     *
+     * @param {SiapSelector} selectors Selectors
+     * @param {object} report Health report
+     * @returns {object}
+     */
+    createHealthReport(selectors, report) {
+        const checked = [];
+        report.version = selectors.version;
+        report.broken = 0;
+        for (const page of report.pages) {
+            if (page.ok) {
+                checked.push(...page.ok, ...page.broken.map(b => b.name));
+                report.broken += page.broken.length;
+            }
+            if (page.error) {
+                report.broken++;
+            }
+        }
+        report.unchecked = selectors.names().filter(name => checked.indexOf(name) < 0);
+        console.log('Selector health (catalogue %s):', report.version);
+        for (const page of report.pages) {
+            const title = page.role ? `${page.page} (${page.role})` : page.page;
+            if (page.ok) {
+                console.log('- %s: %d ok, %d broken', title, page.ok.length, page.broken.length);
+                for (const broken of page.broken) {
+                    console.log('  x %s%s', broken.name, broken.error ? ': ' + broken.error : '');
+                }
+            }
+            if (page.error) {
+                console.log(page.ok ? '  x page: %s' : `- ${title}: %s`, page.error);
+            }
+        }
+        console.log('%d broken, %d not checked', report.broken, report.unchecked.length);
+        return report;
+    }
+
     /**
      * Get captcha images.
      *
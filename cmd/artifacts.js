@@ -0,0 +1,72 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SiapCmd = require('.');
+
+class SiapCmdArtifacts extends SiapCmd {
+
+    consume(payload) {
+        const { data } = payload;
+        if (data.id) {
+            const id = String(data.id).replace(/[^a-zA-Z0-9\-_]/g, '_');
+            const dir = path.join(this.parent.config.workdir, 'failures', id);
+            if (!fs.existsSync(dir)) {
+                return Object.assign({id: data.id}, this.createError('Artifacts not found!'));
+            }
+            if (data.file) {
+                const filename = path.join(dir, String(data.file));
+                if (path.basename(filename) !== String(data.file) || !fs.existsSync(filename)) {
+                    return Object.assign({id: data.id, file: data.file}, this.createError('Artifact not found!'));
+                }
+                const binary = path.extname(filename) === '.png';
+                return {
+                    id: data.id,
+                    file: data.file,
+                    encoding: binary ? 'base64' : 'utf8',
+                    content: fs.readFileSync(filename).toString(binary ? 'base64' : 'utf8'),
+                }
+            }
+            return {
+                id: data.id,
+                items: fs.readdirSync(dir)
+                    .filter(file => path.extname(file) === '.json')
+                    .map(file => {
+                        const res = {name: path.basename(file, '.json')};
+                        try {
+                            Object.assign(res, JSON.parse(fs.readFileSync(path.join(dir, file))));
+                        }
+                        catch (err) {
+                            // artifact may be partially written when capture was interrupted
+                            res.corrupted = true;
+                        }
+                        return res;
+                    })
+            }
+        }
+    }
+}
+
+module.exports = SiapCmdArtifacts;
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const SiapCmd = require('.');
+
+class SiapCmdOutbox extends SiapCmd {
+
+    consume(payload) {
+        const { data } = payload;
+        if (this.dequeue.outbox) {
+            if (data.id) {
+                const entry = this.dequeue.outbox.get(data.id);
+                if (entry) {
+                    const { secret, ...res } = entry;
+                    return res;
+                }
+                return Object.assign({id: data.id}, this.createError('Callback not found!'));
+            }
+            return {
+                items: this.dequeue.outbox.list().map(entry => {
+                    const { data, secret, ...res } = entry;
+                    return res;
+                })
+            }
+        }
+        return this.createError('Callback outbox is not available!');
+    }
+}
+
+module.exports = SiapCmdOutbox;
\ No newline at end of file
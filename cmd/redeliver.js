@@ -0,0 +1,53 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const SiapCmd = require('.');
+
+class SiapCmdRedeliver extends SiapCmd {
+
+    consume(payload) {
+        const { data } = payload;
+        if (this.dequeue.outbox) {
+            let ids;
+            if (data.all) {
+                ids = this.dequeue.outbox.list().map(entry => entry.id);
+            } else if (data.id) {
+                ids = Array.isArray(data.id) ? data.id : [data.id];
+            }
+            if (ids) {
+                const items = ids.map(id => {
+                    if (this.dequeue.outbox.schedule(id)) {
+                        return {id, message: 'Callback is being redelivered'};
+                    }
+                    return Object.assign({id}, this.createError('Callback not found or already queued!'));
+                });
+                return {count: items.filter(item => !item.error).length, items};
+            }
+        } else {
+            return this.createError('Callback outbox is not available!');
+        }
+    }
+}
+
+module.exports = SiapCmdRedeliver;
\ No newline at end of file
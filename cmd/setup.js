@@ -23,6 +23,7 @@
  */
 
 const SiapCmd = require('.');
+const SiapQueue = require('../queue');
 
 class SiapCmdSetup extends SiapCmd {
 
@@ -32,6 +33,24 @@ class SiapCmdSetup extends SiapCmd {
             if (data.callback) {
                 socket.callback = data.callback;
             }
+            if (data.secret) {
+                socket.secret = data.secret;
+            }
+            if (Array.isArray(data.callbacks)) {
+                socket.subscribers = data.callbacks
+                    .filter(subscriber => subscriber && subscriber.url)
+                    .map(subscriber => {
+                        const res = {url: subscriber.url};
+                        if (subscriber.events) {
+                            const events = Array.isArray(subscriber.events) ? subscriber.events : [subscriber.events];
+                            res.events = events.filter(event => SiapQueue.EVENTS.indexOf(event) >= 0);
+                        }
+                        if (subscriber.secret) {
+                            res.secret = subscriber.secret;
+                        }
+                        return res;
+                    });
+            }
         }
         return {version: this.parent.VERSION};
     }
@@ -32,20 +32,22 @@ class SiapCmdSpp extends SiapCmd {
         const { socket, data } = payload;
         const batch = Array.isArray(data.items);
         const items = batch ? data.items : [data];
-        let cnt = 0;
+        const results = [];
         items.forEach(spp => {
             const res = this.dequeue.createQueue({
                 type: SiapQueue.QUEUE_SPP,
+                id: spp.qid,
                 data: spp,
                 callback: socket.callback,
+                secret: socket.secret,
+                subscribers: socket.subscribers,
             });
-            cnt++;
-            if (!batch) {
-                result = res;
-            }
+            results.push(res);
         });
         if (batch) {
-            result = {count: cnt, message: 'SPP is being queued'};
+            result = {count: results.length, message: 'SPP is being queued', items: results};
+        } else {
+            result = results[0];
         }
         return result;
     }
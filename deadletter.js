@@ -0,0 +1,118 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Dead letter store, keeps failed queues so it can be resubmitted later.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SiapDeadLetter {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} dir Store directory
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * Store a failed queue.
+     *
+     * @param {object} queue The queue
+     */
+    add(queue) {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, {recursive: true});
+        }
+        const entry = {
+            type: queue.type,
+            id: queue.id,
+            name: queue.getInfo(),
+            status: queue.status,
+            reason: queue.result instanceof Error ? queue.result.message :
+                (queue.result !== undefined ? queue.result : queue.getStatusText()),
+            time: new Date(),
+            retryCount: queue.retryCount,
+            data: queue.data,
+            callback: queue.callback,
+            secret: queue.secret,
+            subscribers: queue.subscribers,
+        }
+        fs.writeFileSync(this.getFilename(queue.id), JSON.stringify(entry));
+    }
+
+    /**
+     * Get stored queue.
+     *
+     * @param {string} id Queue id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        const filename = this.getFilename(id);
+        if (fs.existsSync(filename)) {
+            return JSON.parse(fs.readFileSync(filename));
+        }
+    }
+
+    /**
+     * Get all stored queues ordered by failure time.
+     *
+     * @returns {object[]}
+     */
+    list() {
+        const res = [];
+        if (fs.existsSync(this.dir)) {
+            for (const file of fs.readdirSync(this.dir)) {
+                if (file.endsWith('.json')) {
+                    res.push(this.get(file.substr(0, file.length - 5)));
+                }
+            }
+        }
+        return res.sort((a, b) => new Date(a.time).getTime() - new Date(b.time).getTime());
+    }
+
+    /**
+     * Remove stored queue.
+     *
+     * @param {string} id Queue id
+     */
+    remove(id) {
+        const filename = this.getFilename(id);
+        if (fs.existsSync(filename)) {
+            fs.unlinkSync(filename);
+        }
+    }
+
+    getFilename(id) {
+        // queue id may be supplied by caller, keep it safe as filename
+        return path.join(this.dir, `${id.toString().replace(/[^a-zA-Z0-9\-_]/g, '_')}.json`);
+    }
+}
+
+module.exports = SiapDeadLetter;
\ No newline at end of file
@@ -0,0 +1,271 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('siap:journal');
+
+/**
+ * Write-ahead journal of queue state transitions.
+ *
+ * Each line of journal is a JSON object of a transition. The `add` entry holds
+ * the queue data needed to recreate it, other entries only hold the new status,
+ * retry count, or completed step along with its harvested values. Attachments
+ * such as BUKTI document are stored next to the journal and referenced instead.
+ *
+ * Journal is compacted to contain only unfinished queues when opened, when a
+ * queue is finished, and when it grows beyond its maximum size.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SiapJournal {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Journal filename
+     * @param {number} maxSize Journal size which triggers compaction
+     */
+    constructor(filename, maxSize = 1024 * 1024) {
+        this.filename = filename;
+        this.dir = path.join(path.dirname(filename), 'attachments');
+        this.maxSize = maxSize;
+        this.pending = [];
+    }
+
+    /**
+     * Replay existing journal and start a fresh one.
+     *
+     * Queues which not yet finished are collected as pending and can be
+     * taken using `takePending()`.
+     *
+     * @param {string[]} finished Finished statuses
+     * @returns {SiapJournal}
+     */
+    open(finished) {
+        this.finished = finished;
+        if (fs.existsSync(this.filename)) {
+            this.pending = this.replay(finished);
+            debug(`Journal replayed with ${this.pending.length} pending queue(s)`);
+        } else {
+            const dir = path.dirname(this.filename);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, {recursive: true});
+            }
+        }
+        this.write(this.pending);
+        return this;
+    }
+
+    /**
+     * Rewrite journal to contain only unfinished queues and remove attachments
+     * of finished ones.
+     */
+    compact() {
+        if (this.fd !== undefined) {
+            fs.closeSync(this.fd);
+            delete this.fd;
+            const queues = this.replay(this.finished);
+            this.write(queues);
+            debug(`Journal compacted with ${queues.length} pending queue(s)`);
+        }
+    }
+
+    write(queues) {
+        const tmpfile = this.filename + '.tmp';
+        fs.writeFileSync(tmpfile, queues.map(entry => JSON.stringify(Object.assign({op: 'add'}, entry)) + '\n').join(''));
+        fs.renameSync(tmpfile, this.filename);
+        this.fd = fs.openSync(this.filename, 'a');
+        this.size = fs.statSync(this.filename).size;
+        // avoid compacting on each append when pending queues alone exceed maximum size
+        this.limit = Math.max(this.maxSize, this.size * 2);
+        if (fs.existsSync(this.dir)) {
+            const ids = queues.map(entry => this.getAttachmentPrefix(entry.id));
+            for (const file of fs.readdirSync(this.dir)) {
+                // attachment is named after its queue followed by a sequence, so a queue
+                // whose id is a prefix of another does not keep the other attachments
+                if (!ids.some(id => file.startsWith(id) && /^\d+$/.test(file.substr(id.length)))) {
+                    fs.unlinkSync(path.join(this.dir, file));
+                }
+            }
+        }
+    }
+
+    /**
+     * Read journal and returns unfinished queues.
+     *
+     * @param {string[]} finished Finished statuses
+     * @returns {object[]}
+     */
+    replay(finished) {
+        const queues = {};
+        const lines = fs.readFileSync(this.filename).toString().split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            }
+            catch (err) {
+                // a partially written line is expected after a crash
+                console.error('Ignoring corrupted journal entry: %s!', line.length > 50 ? line.substr(0, 50) + '...' : line);
+                continue;
+            }
+            const { op, ...data } = entry;
+            if (op === 'add') {
+                queues[data.id] = data;
+            } else if (queues[entry.id]) {
+                if (op === 'status' && finished.indexOf(entry.status) >= 0) {
+                    delete queues[entry.id];
+                }
+                if (op === 'retry') {
+                    queues[entry.id].retryCount = entry.count;
+                }
+                if (op === 'step') {
+                    const resume = queues[entry.id].resume || {steps: [], values: {}};
+                    if (resume.steps.indexOf(entry.name) < 0) {
+                        resume.steps.push(entry.name);
+                    }
+                    Object.assign(resume.values, entry.values);
+                    queues[entry.id].resume = resume;
+                }
+            }
+        }
+        return Object.values(queues);
+    }
+
+    /**
+     * Take pending queues replayed from previous journal.
+     *
+     * @returns {object[]}
+     */
+    takePending() {
+        const pending = this.pending.map(entry => Object.assign({}, entry, {data: this.restore(entry.data)}));
+        this.pending = [];
+        return pending;
+    }
+
+    /**
+     * Store buffers of queue data as attachment and replace it with reference.
+     *
+     * @param {string} id Queue id
+     * @param {any} data Queue data
+     * @returns {any}
+     */
+    store(id, data) {
+        let seq = 0;
+        const f = value => {
+            if (Buffer.isBuffer(value)) {
+                if (!fs.existsSync(this.dir)) {
+                    fs.mkdirSync(this.dir, {recursive: true});
+                }
+                const attachment = `${this.getAttachmentPrefix(id)}${++seq}`;
+                fs.writeFileSync(path.join(this.dir, attachment), value);
+                return {$attachment: attachment};
+            }
+            if (Array.isArray(value)) {
+                return value.map(v => f(v));
+            }
+            if (value && typeof value === 'object' && !(value instanceof Date)) {
+                const res = {};
+                for (const [k, v] of Object.entries(value)) {
+                    res[k] = f(v);
+                }
+                return res;
+            }
+            return value;
+        }
+        return f(data);
+    }
+
+    /**
+     * Replace attachment references of queue data with its content.
+     *
+     * @param {any} data Queue data
+     * @returns {any}
+     */
+    restore(data) {
+        const f = value => {
+            if (Array.isArray(value)) {
+                return value.map(v => f(v));
+            }
+            if (value && typeof value === 'object') {
+                if (typeof value.$attachment === 'string') {
+                    const filename = path.join(this.dir, path.basename(value.$attachment));
+                    if (fs.existsSync(filename)) {
+                        return fs.readFileSync(filename);
+                    }
+                    console.error('Journal attachment %s is missing!', value.$attachment);
+                    return null;
+                }
+                const res = {};
+                for (const [k, v] of Object.entries(value)) {
+                    res[k] = f(v);
+                }
+                return res;
+            }
+            return value;
+        }
+        return f(data);
+    }
+
+    getAttachmentPrefix(id) {
+        return `${String(id).replace(/[^a-zA-Z0-9\-_]/g, '_')}-`;
+    }
+
+    /**
+     * Append an entry to journal.
+     *
+     * @param {string} op Operation
+     * @param {object} data Entry data
+     */
+    append(op, data) {
+        if (this.fd !== undefined) {
+            if (op === 'add' && data.data) {
+                data = Object.assign({}, data, {data: this.store(data.id, data.data)});
+            }
+            const line = JSON.stringify(Object.assign({op}, data)) + '\n';
+            fs.writeSync(this.fd, line);
+            fs.fdatasyncSync(this.fd);
+            this.size += Buffer.byteLength(line);
+            if ((op === 'status' && this.finished.indexOf(data.status) >= 0) || this.size > this.limit) {
+                this.compact();
+            }
+        }
+    }
+
+    /**
+     * Close journal.
+     */
+    close() {
+        if (this.fd !== undefined) {
+            fs.closeSync(this.fd);
+            delete this.fd;
+        }
+    }
+}
+
+module.exports = SiapJournal;
\ No newline at end of file
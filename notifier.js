@@ -22,73 +22,116 @@
  * SOFTWARE.
  */
 
+const crypto = require('crypto');
+const { SiapCallbackError } = require('./siap');
+
 class SiapNotifier {
 
-    static notify(queue) {
-        return this.notifyCallback(queue.callback, queue.data);
+    static notify(queue, options = {}) {
+        options = Object.assign({}, options);
+        if (queue.secret) {
+            options.secret = queue.secret;
+        }
+        return this.notifyCallback(queue.callback, queue.data, options);
     }
 
-    // https://nodejs.org/dist/latest-v14.x/docs/api/http.html#http_http_request_options_callback
-    static notifyCallback(url, data) {
+    // https://nodejs.org/dist/latest-v20.x/docs/api/http.html#httprequesturl-options-callback
+    /**
+     * Post data to callback url, any 2xx response is treated as an acknowledgement.
+     *
+     * Redirection of 301, 302, 307, and 308 is followed by re-sending the payload
+     * using the original method, while 303 is a delivery failure as it asks for
+     * a GET which would drop the payload.
+     *
+     * @param {string} url Callback url
+     * @param {object} data Callback data
+     * @param {object} options Options such as secret, timeout, and maxRedirects
+     * @returns {Promise<string>}
+     */
+    static notifyCallback(url, data, options = {}) {
         return new Promise((resolve, reject) => {
-            let done = false;
             const payload = JSON.stringify(data);
-            const options = {
-                method: 'POST',
-                headers: {
+            const timeout = options.timeout !== undefined ? options.timeout : this.TIMEOUT;
+            const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : this.MAX_REDIRECTS;
+            let redirects = 0;
+            const f = (url, method, body) => {
+                let parsedUrl;
+                try {
+                    parsedUrl = new URL(url);
+                }
+                catch (err) {
+                    return reject(new SiapCallbackError(`Invalid callback url ${url}!`, {url}));
+                }
+                const headers = {
                     'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(payload)
+                    'Content-Length': Buffer.byteLength(body),
+                }
+                if (options.secret) {
+                    Object.assign(headers, this.sign(body, options.secret));
                 }
-            }
-            const f = () => {
-                /** @type {Buffer} buff */
-                let buff, err, code;
-                const parsedUrl = new URL(url);
                 const http = require('https:' == parsedUrl.protocol ? 'https' : 'http');
-                const req = http.request(url, options, res => {
-                    code = res.statusCode;
-                    res.setEncoding('utf8');
-                    res.on('data', chunk => {
-                        if (typeof chunk === 'string') {
-                            chunk = Buffer.from(chunk, 'utf8');
-                        }
-                        if (buff) {
-                            buff = Buffer.concat([buff, chunk]);
-                        } else {
-                            buff = chunk;
-                        }
-                    });
+                const req = http.request(parsedUrl, {method, headers}, res => {
+                    const code = res.statusCode;
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('error', err => reject(new SiapCallbackError(err.message, {status: code, url, code: err.code})));
                     res.on('end', () => {
-                        if (code === 301 || code === 302) {
-                            if (res.headers.location) {
-                                url = res.headers.location;
+                        const content = Buffer.concat(chunks).toString();
+                        if (this.REDIRECTS.indexOf(code) >= 0) {
+                            if (!res.headers.location) {
+                                reject(new SiapCallbackError('No redirection to follow!', {status: code, url}));
+                            } else if (redirects >= maxRedirects) {
+                                reject(new SiapCallbackError(`Too many redirections (${redirects})!`, {status: code, url}));
                             } else {
-                                reject('No redirection to follow!');
+                                const location = new URL(res.headers.location, url).toString();
+                                if (code === 303) {
+                                    reject(new SiapCallbackError(`Callback is redirected with HTTP ${code} which drops the payload!`, {status: code, url, location}));
+                                } else {
+                                    redirects++;
+                                    f(location, method, body);
+                                }
                             }
+                        } else if (code >= 200 && code < 300) {
+                            resolve(content);
                         } else {
-                            done = true;
+                            reject(new SiapCallbackError(`Callback is not acknowledged with HTTP ${code}!`, {
+                                status: code,
+                                url,
+                                body: content.length > 200 ? content.substr(0, 200) + '...' : content,
+                            }));
                         }
                     });
                 });
-                req.on('error', e => {
-                    err = e;
-                });
-                req.on('close', () => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    if (done) {
-                        resolve(code === 200 ? buff.toString() : null);
-                    } else {
-                        f();
-                    }
+                if (timeout > 0) {
+                    req.setTimeout(timeout, () => {
+                        req.destroy(new SiapCallbackError(`Callback is timed out after ${timeout} ms!`, {url, code: 'ETIMEDOUT'}));
+                    });
+                }
+                req.on('error', err => {
+                    reject(err instanceof SiapCallbackError ? err : new SiapCallbackError(err.message, {url, code: err.code}));
                 });
-                req.write(payload);
-                req.end();
+                req.end(body);
             }
-            f();
+            f(url, 'POST', payload);
         });
     }
+
+    static sign(payload, secret, timestamp = null) {
+        if (!timestamp) {
+            timestamp = Math.floor(Date.now() / 1000);
+        }
+        const signature = crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.${payload}`)
+            .digest('hex');
+        return {
+            'X-Siap-Timestamp': timestamp.toString(),
+            'X-Siap-Signature': `sha256=${signature}`,
+        }
+    }
+
+    static get TIMEOUT() { return 30000 }
+    static get MAX_REDIRECTS() { return 5 }
+    static get REDIRECTS() { return [301, 302, 303, 307, 308] }
 }
 
 module.exports = SiapNotifier;
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('siap:outbox');
+
+/**
+ * Callback outbox, keeps undelivered callbacks for redelivery.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SiapOutbox {
+
+    entries = {}
+
+    /**
+     * Constructor.
+     *
+     * @param {string} dir Outbox directory
+     */
+    constructor(dir) {
+        this.dir = dir;
+        this.load();
+    }
+
+    load() {
+        if (fs.existsSync(this.dir)) {
+            for (const file of fs.readdirSync(this.dir)) {
+                if (file.endsWith('.json')) {
+                    const entry = JSON.parse(fs.readFileSync(path.join(this.dir, file)));
+                    this.entries[entry.id] = entry;
+                }
+            }
+            debug(`Outbox loaded with ${Object.keys(this.entries).length} callback(s)`);
+        }
+    }
+
+    save(entry) {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, {recursive: true});
+        }
+        const { queued, ...data } = entry;
+        fs.writeFileSync(this.getFilename(entry.id), JSON.stringify(data));
+    }
+
+    /**
+     * Record callback as soon as it is queued so it survives a restart before
+     * its first delivery attempt.
+     *
+     * @param {object} queue Callback queue
+     * @returns {object}
+     */
+    add(queue) {
+        const now = new Date();
+        const entry = {
+            id: queue.id,
+            callback: queue.callback,
+            secret: queue.secret,
+            data: queue.data,
+            created: now.getTime(),
+            attempts: 0,
+            next: now.getTime(),
+            queued: true,
+        }
+        this.entries[entry.id] = entry;
+        this.save(entry);
+        return entry;
+    }
+
+    /**
+     * Release callback which is no longer queued without being delivered. A
+     * cancelled callback is only redelivered on request.
+     *
+     * @param {string} id Callback id
+     * @param {boolean} cancelled Whether callback is cancelled
+     */
+    release(id, cancelled = false) {
+        const entry = this.entries[id];
+        if (entry) {
+            delete entry.queued;
+            if (cancelled) {
+                entry.cancelled = true;
+            }
+            this.save(entry);
+        }
+    }
+
+    /**
+     * Record failed callback delivery.
+     *
+     * @param {object} queue Callback queue
+     * @param {Error|string} err Delivery error
+     * @param {number} delay Delay before next delivery (ms)
+     * @param {number} expire Expiration since first delivery (ms)
+     * @returns {object}
+     */
+    fail(queue, err, delay, expire) {
+        const id = queue.outbox || queue.id;
+        const now = new Date();
+        let entry = this.entries[id];
+        if (!entry) {
+            entry = {
+                id,
+                callback: queue.callback,
+                secret: queue.secret,
+                data: queue.data,
+                created: now.getTime(),
+                attempts: 0,
+            }
+            this.entries[id] = entry;
+        }
+        entry.attempts++;
+        entry.error = err instanceof Error ? err.message : err;
+        if (err instanceof Error && typeof err.toJSON === 'function') {
+            entry.response = err.toJSON();
+        } else {
+            delete entry.response;
+        }
+        entry.last = now.getTime();
+        entry.next = now.getTime() + delay;
+        if (expire > 0 && entry.next - entry.created > expire) {
+            entry.expired = true;
+        }
+        delete entry.queued;
+        this.save(entry);
+        return entry;
+    }
+
+    /**
+     * Get callbacks due for redelivery.
+     *
+     * @param {Date} time Current time
+     * @returns {object[]}
+     */
+    due(time = null) {
+        time = time || new Date();
+        return Object.values(this.entries).filter(entry => !entry.queued && !entry.expired && !entry.cancelled && entry.next <= time.getTime());
+    }
+
+    /**
+     * Force callback to be redelivered immediately even if it has expired or
+     * cancelled.
+     *
+     * @param {string} id Callback id
+     * @returns {boolean}
+     */
+    schedule(id) {
+        const entry = this.entries[id];
+        if (entry && !entry.queued) {
+            entry.next = new Date().getTime();
+            delete entry.expired;
+            delete entry.cancelled;
+            this.save(entry);
+            return true;
+        }
+        return false;
+    }
+
+    get(id) {
+        return this.entries[id];
+    }
+
+    list() {
+        return Object.values(this.entries).sort((a, b) => a.created - b.created);
+    }
+
+    remove(id) {
+        if (this.entries[id]) {
+            delete this.entries[id];
+            const filename = this.getFilename(id);
+            if (fs.existsSync(filename)) {
+                fs.unlinkSync(filename);
+            }
+        }
+    }
+
+    getFilename(id) {
+        return path.join(this.dir, `${id.toString().replace(/[^a-zA-Z0-9\-_]/g, '_')}.json`);
+    }
+}
+
+module.exports = SiapOutbox;
\ No newline at end of file
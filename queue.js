@@ -28,7 +28,10 @@ const path = require('path');
 const util = require('util');
 const EventEmitter = require('events');
 const Queue = require('@ntlab/work/queue');
-const { SiapRetryError } = require('./siap');
+const SiapJournal = require('./journal');
+const SiapDeadLetter = require('./deadletter');
+const SiapOutbox = require('./outbox');
+const { SiapAnnouncedError, SiapRetryError } = require('./siap');
 
 /** @type {SiapDequeue} */
 let dequeue;
@@ -43,48 +46,109 @@ class SiapDequeue extends EventEmitter {
         this.queues = [];
         this.queue = new Queue([], queue => this.doQueue(queue), () => this.canProcess());
         this.timeout = 10 * 60 * 1000;
-        this.retry = 3;
+        this.seq = 0;
+        this.priority = {
+            aging: 10 * 60 * 1000,
+        }
+        this.callback = {
+            retry: {
+                base: 30 * 1000,
+                cap: 60 * 60 * 1000,
+                jitter: 0.2,
+            },
+            expire: 24 * 60 * 60 * 1000,
+        }
+        this.retry = {
+            max: 3,
+            base: 5000,
+            cap: 5 * 60 * 1000,
+            jitter: 0.2,
+            errors: [],
+        }
     }
 
     doQueue(queue) {
         if (this.consumer) {
             const success = res => {
+                if (queue.status === SiapQueue.STATUS_CANCELLED) {
+                    return;
+                }
+                // timed out queue has been buried, it no longer needs to be resubmitted
+                const late = queue.status === SiapQueue.STATUS_TIMED_OUT;
+                if (late) {
+                    console.log('Queue %s completed after timeout', queue.toString());
+                    if (this.deadletter) {
+                        this.deadletter.remove(queue.id);
+                    }
+                }
                 queue.done(res);
+                // result is normally published by the bridge, ensure upstream knows it
+                if (late && !queue.notified && queue.type !== SiapQueue.QUEUE_CALLBACK) {
+                    this.publish(queue, SiapQueue.EVENT_DONE, res !== null && typeof res === 'object' ? res : {result: res});
+                }
+                if (queue.outbox && this.outbox) {
+                    this.outbox.remove(queue.outbox);
+                }
                 this.setLastQueue(queue);
                 if (typeof queue.resolve === 'function') {
                     queue.resolve(res);
                 }
                 this.emit('queue-done', queue);
-                this.queue.next();
+                // next queue has been processed on timeout
+                if (!late) {
+                    this.next();
+                }
             }
             const fail = err => {
+                if ([SiapQueue.STATUS_CANCELLED, SiapQueue.STATUS_TIMED_OUT].indexOf(queue.status) >= 0) {
+                    return;
+                }
                 queue.error(err);
+                this.bury(queue);
+                this.postpone(queue, err);
+                if (queue.type !== SiapQueue.QUEUE_CALLBACK) {
+                    this.publish(queue, SiapQueue.EVENT_FAILED, {error: err instanceof Error ? err.message : err});
+                }
                 this.setLastQueue(queue);
                 if (typeof queue.reject === 'function') {
                     queue.reject(err);
                 }
                 this.emit('queue-error', queue);
-                this.queue.next();
+                this.next();
             }
             const retry = err => {
+                if ([SiapQueue.STATUS_CANCELLED, SiapQueue.STATUS_TIMED_OUT].indexOf(queue.status) >= 0) {
+                    return;
+                }
                 queue.retryCount = (queue.retryCount !== undefined ? queue.retryCount : 0) + 1;
-                if (err instanceof SiapRetryError && queue.retry && queue.retryCount <= this.retry) {
-                    console.log('Retrying %s (%d)...', queue.toString(), queue.retryCount);
+                this.journal('retry', {id: queue.id, count: queue.retryCount});
+                const action = this.classifyError(err);
+                if (action === SiapQueue.ERROR_RETRY && queue.retry && queue.retryCount <= this.retry.max) {
+                    const delay = this.getRetryDelay(queue.retryCount);
+                    console.log('Retrying %s (%d) in %d second(s)...', queue.toString(), queue.retryCount, Math.round(delay / 1000));
+                    queue.setStatus(SiapQueue.STATUS_RETRY);
+                    const f = () => setTimeout(() => doit(), delay);
                     if (typeof queue.onretry === 'function') {
                         queue.onretry()
-                            .then(() => doit())
+                            .then(() => f())
                             .catch(err => fail(err));
                     } else {
-                        doit();
+                        f();
                     }
                 } else {
+                    if (action === SiapQueue.ERROR_ANNOUNCE) {
+                        this.announce(queue, err);
+                    }
                     fail(err);
                 }
             }
             const doit = () => {
                 try {
-                    if (queue.status !== SiapQueue.STATUS_SKIPPED) {
+                    if ([SiapQueue.STATUS_SKIPPED, SiapQueue.STATUS_CANCELLED].indexOf(queue.status) < 0) {
                         queue.start();
+                        if (queue.type !== SiapQueue.QUEUE_CALLBACK) {
+                            this.publish(queue, SiapQueue.EVENT_STARTED);
+                        }
                         this.emit('queue-start', queue);
                         this.consumer.processQueue(queue)
                             .then(res => success(res))
@@ -93,24 +157,114 @@ class SiapDequeue extends EventEmitter {
                         const nextqueue = this.getNext();
                         if (nextqueue && nextqueue.type !== SiapQueue.QUEUE_CALLBACK) {
                             if (this.consumer.canHandleNextQueue(nextqueue)) {
-                                this.queue.next();
+                                this.next();
                             }
                         }
                     } else {
-                        this.queue.next();
+                        this.next();
                     }
                 }
                 catch (err) {
                     console.error('Got an error while processing queue: %s!', err);
-                    this.queue.next();
+                    this.next();
                 }
             }
             doit();
         }
     }
 
+    /**
+     * Process next queue when it can be processed now. Otherwise, underlying queue
+     * would keep polling on its own, the consumer tick will try it again later.
+     */
+    next() {
+        if (!this.queue.queues.length || this.canProcess()) {
+            this.queue.next();
+        }
+    }
+
     canProcess() {
-        return this.consumer ? this.consumer.canProcessQueue() : false;
+        if (this.consumer && !this.paused) {
+            this.arrange();
+            return this.consumer.canProcessQueue();
+        }
+        return false;
+    }
+
+    /**
+     * Arrange waiting queues so the first queue is the one can be processed now,
+     * expired queues are removed.
+     */
+    arrange() {
+        const time = new Date();
+        const queues = this.queue.queues;
+        for (const queue of [...queues]) {
+            if (queue.isExpired(time)) {
+                queues.splice(queues.indexOf(queue), 1);
+                queue.setStatus(SiapQueue.STATUS_SKIPPED);
+                queue.setResult('Processing window has passed!');
+                this.bury(queue);
+            }
+        }
+        const queue = this.pick(time);
+        if (queue && queues.indexOf(queue) > 0) {
+            queues.splice(queues.indexOf(queue), 1);
+            queues.unshift(queue);
+        }
+    }
+
+    /**
+     * Pick a queue to process next, callback queue always comes first, then
+     * the one with highest priority. To avoid starvation, waiting queue priority
+     * is raised for every aging period since it became eligible.
+     *
+     * @param {Date} time Current time
+     * @returns {SiapQueue|undefined}
+     */
+    pick(time = null) {
+        time = time || new Date();
+        let res, priority;
+        for (const queue of this.queue.queues) {
+            if (this.isScheduled(queue, time)) {
+                continue;
+            }
+            if (queue.type === SiapQueue.QUEUE_CALLBACK) {
+                return queue;
+            }
+            let p = queue.getPriority();
+            if (this.priority.aging > 0) {
+                const notBefore = queue.getDataTime('notBefore');
+                const eligible = Math.max(queue.created.getTime(), notBefore ? notBefore.getTime() : 0);
+                p += Math.floor((time.getTime() - eligible) / this.priority.aging);
+            }
+            if (res === undefined || p > priority) {
+                res = queue;
+                priority = p;
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Check if queue is scheduled for later processing, either its time not yet
+     * come or no processing window is currently open.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {Date} time Check time
+     * @returns {boolean}
+     */
+    isScheduled(queue, time = null) {
+        time = time || new Date();
+        if (queue.type === SiapQueue.QUEUE_CALLBACK) {
+            return false;
+        }
+        if (!queue.isDue(time)) {
+            return true;
+        }
+        if (this.consumer && typeof this.consumer.isQueueScheduled === 'function') {
+            return this.consumer.isQueueScheduled(queue, time);
+        }
+        return false;
     }
 
     setConsumer(consumer) {
@@ -130,18 +284,22 @@ class SiapDequeue extends EventEmitter {
                         queue.data.timeout : this.timeout;
                     if (timeout > 0 && d > timeout) {
                         queue.setStatus(SiapQueue.STATUS_TIMED_OUT);
+                        this.bury(queue);
+                        // timed out callback is redelivered later
+                        this.postpone(queue, 'Callback timed out');
                         if (typeof queue.ontimeout === 'function') {
                             queue.ontimeout()
-                                .then(() => this.queue.next())
-                                .catch(() => this.queue.next())
+                                .then(() => this.next())
+                                .catch(() => this.next())
                             ;
                         } else {
-                            this.queue.next();
+                            this.next();
                         }
                     }
                 } else if (this.queues.length) {
-                    this.queue.next();
+                    this.next();
                 }
+                this.redeliver();
                 // run on next
                 setTimeout(f, 100);
             }
@@ -150,27 +308,308 @@ class SiapDequeue extends EventEmitter {
         return this;
     }
 
+    setRetryPolicy(policy) {
+        if (policy) {
+            Object.assign(this.retry, policy);
+        }
+        return this;
+    }
+
+    /**
+     * Classify an error as retryable, fatal, or announced. Configured error
+     * rules are checked first, each rule can match error source and message.
+     *
+     * @param {Error|string} err The error
+     * @returns {string}
+     */
+    classifyError(err) {
+        const message = err instanceof Error ? err.message : err;
+        for (const rule of this.retry.errors) {
+            if (rule.source && (!(err instanceof Error) || err.source !== rule.source)) {
+                continue;
+            }
+            if (rule.match && !new RegExp(rule.match, 'i').test(message)) {
+                continue;
+            }
+            return rule.action;
+        }
+        if (err instanceof SiapAnnouncedError) {
+            return SiapQueue.ERROR_ANNOUNCE;
+        }
+        if (err instanceof SiapRetryError) {
+            return SiapQueue.ERROR_RETRY;
+        }
+        return SiapQueue.ERROR_FATAL;
+    }
+
+    getRetryDelay(count, policy = null) {
+        policy = policy || this.retry;
+        let delay = Math.min(policy.cap, policy.base * Math.pow(2, count - 1));
+        if (policy.jitter) {
+            delay += delay * policy.jitter * (Math.random() * 2 - 1);
+        }
+        return Math.max(0, Math.round(delay));
+    }
+
+    announce(queue, err) {
+        // announced error with queue already notified by bridge
+        if (!(err instanceof SiapAnnouncedError && err._queue)) {
+            this.publish(queue, SiapQueue.EVENT_ERROR, {error: err instanceof Error ? err.message : err});
+        }
+    }
+
+    /**
+     * Notify queue event to its callback and subscribers.
+     *
+     * The legacy callback only receives final result and announced error with
+     * its original payload, while subscribers receive the events they subscribe to
+     * with event name, queue id, and time included in the payload.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {string} event Event name
+     * @param {object} data Event data
+     */
+    publish(queue, event, data = {}) {
+        // dry run is a rehearsal, upstream must not act on it
+        if (queue.dryRun) {
+            return;
+        }
+        const id = queue.getMappedData('info.id');
+        if (event === SiapQueue.EVENT_DONE) {
+            queue.notified = true;
+        }
+        if (queue.callback && SiapQueue.LEGACY_EVENTS.indexOf(event) >= 0) {
+            this.add(SiapQueue.createCallbackQueue(Object.assign({id}, data), queue.callback, queue.secret));
+        }
+        if (Array.isArray(queue.subscribers) && SiapQueue.EVENTS.indexOf(event) >= 0) {
+            for (const subscriber of queue.subscribers) {
+                if (!Array.isArray(subscriber.events) || subscriber.events.indexOf(event) >= 0) {
+                    const payload = Object.assign({event, id, queue: queue.id, time: new Date()}, data);
+                    this.add(SiapQueue.createCallbackQueue(payload, subscriber.url, subscriber.secret || queue.secret));
+                }
+            }
+        }
+    }
+
+    setPriorityPolicy(policy) {
+        if (policy) {
+            Object.assign(this.priority, policy);
+        }
+        return this;
+    }
+
+    setCallbackPolicy(policy) {
+        if (policy) {
+            const retry = Object.assign({}, this.callback.retry, policy.retry || {});
+            Object.assign(this.callback, policy, {retry});
+        }
+        return this;
+    }
+
+    setOutbox(dir) {
+        this.outbox = new SiapOutbox(dir);
+        return this;
+    }
+
+    postpone(queue, err) {
+        if (this.outbox && queue.type === SiapQueue.QUEUE_CALLBACK && queue.callback) {
+            const attempts = queue.outbox && this.outbox.get(queue.outbox) ? this.outbox.get(queue.outbox).attempts : 0;
+            const entry = this.outbox.fail(queue, err, this.getRetryDelay(attempts + 1, this.callback.retry), this.callback.expire);
+            if (entry.expired) {
+                console.error('Callback %s expired after %d attempt(s)!', entry.id, entry.attempts);
+            } else {
+                console.log('Callback %s will be redelivered at %s', entry.id, new Date(entry.next).toString());
+            }
+        }
+    }
+
+    redeliver() {
+        if (this.outbox) {
+            for (const entry of this.outbox.due()) {
+                const queue = SiapQueue.createCallbackQueue(entry.data, entry.callback, entry.secret);
+                queue.outbox = entry.id;
+                entry.queued = true;
+                this.add(queue);
+            }
+        }
+    }
+
+    setDeadLetter(dir) {
+        this.deadletter = new SiapDeadLetter(dir);
+        return this;
+    }
+
+    bury(queue) {
+        if (this.deadletter && queue.type !== SiapQueue.QUEUE_CALLBACK) {
+            this.deadletter.add(queue);
+        }
+    }
+
+    resubmit(id) {
+        const entry = this.deadletter ? this.deadletter.get(id) : null;
+        if (entry && typeof this.createQueue === 'function') {
+            const res = this.createQueue({type: entry.type, data: entry.data, callback: entry.callback, secret: entry.secret, subscribers: entry.subscribers});
+            if (res && res.status === 'queued') {
+                this.deadletter.remove(id);
+            }
+            return res;
+        }
+    }
+
+    setJournal(filename) {
+        this._journal = new SiapJournal(filename);
+        this._journal.open(SiapQueue.finishedStatuses());
+        return this;
+    }
+
+    journal(op, data) {
+        if (this._journal) {
+            this._journal.append(op, data);
+        }
+    }
+
     setInfo(info) {
         this.info = Object.assign({}, info);
         return this;
     }
 
+    /**
+     * Check if queue id has been used by a buried queue or failure artifacts,
+     * restored queue is allowed to reuse its own.
+     *
+     * @param {SiapQueue} queue The queue
+     * @returns {boolean}
+     */
+    isUsedId(queue) {
+        if (queue.restored) {
+            return false;
+        }
+        if (this.deadletter && this.deadletter.get(queue.id)) {
+            return true;
+        }
+        return fs.existsSync(path.join(process.cwd(), 'failures', queue.id));
+    }
+
     add(queue) {
         if (!queue.id) {
             queue.setId(this.genId());
+        } else if (!SiapQueue.isValidId(queue.id)) {
+            return {message: 'Queue id must be a string of letters, digits, underscore, or dash up to 64 characters!'};
+        } else if (this.get(queue.id) || this.isUsedId(queue)) {
+            return {message: `Queue ${queue.id} already exists!`};
+        }
+        if (this.outbox && queue.type === SiapQueue.QUEUE_CALLBACK && queue.callback && !queue.outbox) {
+            queue.outbox = this.outbox.add(queue).id;
+        }
+        if (queue.type !== SiapQueue.QUEUE_CALLBACK) {
+            this.journal('add', {
+                type: queue.type,
+                id: queue.id,
+                data: queue.data,
+                callback: queue.callback,
+                secret: queue.secret,
+                subscribers: queue.subscribers,
+                created: queue.created,
+                retryCount: queue.retryCount,
+                resume: queue.completed || Object.keys(queue.getValues()).length ?
+                    {steps: queue.completed || [], values: queue.getValues()} : undefined,
+            });
+            queue.onstatus = status => this.journal('status', {id: queue.id, status});
+            queue.onstep = step => {
+                if (step.status === SiapQueue.STATUS_DONE) {
+                    this.journal('step', {id: queue.id, name: step.name, values: queue.getValues()});
+                }
+                this.emit('queue-step', queue, step);
+            }
         }
         this.queues.push(queue);
-        this.queue.requeue([queue], queue.type === SiapQueue.QUEUE_CALLBACK ? true : false);
-        this.queue.next();
+        // restored queue has been announced as queued before restart
+        if (queue.type !== SiapQueue.QUEUE_CALLBACK && !queue.restored) {
+            this.publish(queue, SiapQueue.EVENT_QUEUED);
+        }
+        // requeue would start polling when queue can't be processed yet
+        if (queue.type === SiapQueue.QUEUE_CALLBACK) {
+            this.queue.queues.unshift(queue);
+        } else {
+            this.queue.queues.push(queue);
+        }
+        this.next();
         return {status: 'queued', id: queue.id};
     }
 
+    get(id) {
+        return this.queues.find(queue => queue.id === id);
+    }
+
+    cancel(id) {
+        const queue = this.get(id);
+        if (queue && queue.status === SiapQueue.STATUS_NEW) {
+            const idx = this.queue.queues.indexOf(queue);
+            if (idx >= 0) {
+                this.queue.queues.splice(idx, 1);
+            }
+            queue.setStatus(SiapQueue.STATUS_CANCELLED);
+            this.release(queue);
+            this.emit('queue-cancel', queue);
+            return true;
+        }
+        return false;
+    }
+
+    release(queue) {
+        if (queue.outbox && this.outbox) {
+            this.outbox.release(queue.outbox, true);
+        }
+    }
+
+    abort(id) {
+        const queue = this.get(id);
+        if (queue && [SiapQueue.STATUS_PROCESSING, SiapQueue.STATUS_RETRY].indexOf(queue.status) >= 0) {
+            queue.setStatus(SiapQueue.STATUS_CANCELLED);
+            this.release(queue);
+            this.emit('queue-cancel', queue);
+            if (typeof queue.onabort === 'function') {
+                queue.onabort()
+                    .then(() => this.next())
+                    .catch(() => this.next())
+                ;
+            } else {
+                this.next();
+            }
+            return true;
+        }
+        return false;
+    }
+
+    pause() {
+        if (!this.paused) {
+            this.paused = true;
+            this.emit('pause', this);
+        }
+        return this;
+    }
+
+    resume() {
+        if (this.paused) {
+            this.paused = false;
+            this.emit('resume', this);
+            this.next();
+        }
+        return this;
+    }
+
+    find(id) {
+        const queues = this.queues.filter(queue => queue.type !== SiapQueue.QUEUE_CALLBACK && queue.getMappedData('info.id') == id);
+        return queues.length ? queues[queues.length - 1] : undefined;
+    }
+
     getCurrent() {
         return this.queue.queue;
     }
 
     getNext() {
-        return this.queue.queues.length ? this.queue.queues[0] : null;
+        const queue = this.pick();
+        return queue ? queue : null;
     }
 
     getLast() {
@@ -185,11 +624,17 @@ class SiapDequeue extends EventEmitter {
     }
 
     genId() {
-        return crypto
-            .createHash('sha1')
-            .update(new Date().getTime().toString())
-            .digest('hex')
-            .substring(0, 8);
+        let id;
+        do {
+            // combine time, sequence and random bytes so ids generated within
+            // the same millisecond or across restarts never collide
+            id = crypto
+                .createHash('sha1')
+                .update([new Date().getTime(), ++this.seq, crypto.randomBytes(8).toString('hex')].join(':'))
+                .digest('hex')
+                .substring(0, 12);
+        } while (this.get(id));
+        return id;
     }
 
     getStatus() {
@@ -198,7 +643,24 @@ class SiapDequeue extends EventEmitter {
             total: this.queues.length,
             queue: this.queue.queues.length,
         });
-        const processing = this.queues.filter(queue => queue.status === SiapQueue.STATUS_PROCESSING).map(queue => queue.toString());
+        if (this.paused) {
+            status.paused = true;
+        }
+        const lanes = {};
+        this.queue.queues.filter(queue => queue.type !== SiapQueue.QUEUE_CALLBACK).forEach(queue => {
+            const lane = queue.getPriorityText();
+            lanes[lane] = (lanes[lane] || 0) + 1;
+        });
+        if (Object.keys(lanes).length) {
+            status.lanes = lanes;
+        }
+        const time = new Date();
+        const scheduled = this.queue.queues.filter(queue => this.isScheduled(queue, time)).map(queue => queue.toString());
+        if (scheduled.length) {
+            status.scheduled = scheduled.join('<br/>');
+        }
+        const processing = this.queues.filter(queue => [SiapQueue.STATUS_PROCESSING, SiapQueue.STATUS_RETRY].indexOf(queue.status) >= 0)
+            .map(queue => queue.toString() + (queue.step && !queue.step.end ? ` (${queue.step.name})` : ''));
         if (processing.length) {
             status.current = processing.join('<br/>');
         }
@@ -214,7 +676,7 @@ class SiapDequeue extends EventEmitter {
     }
 
     saveLogs() {
-        const logs = this.getLogs(true).filter(log => log.type !== SiapQueue.QUEUE_CALLBACK && [SiapQueue.STATUS_NEW, SiapQueue.STATUS_PROCESSING].indexOf(log.status) < 0);
+        const logs = this.getLogs(true).filter(log => log.type !== SiapQueue.QUEUE_CALLBACK && [SiapQueue.STATUS_NEW, SiapQueue.STATUS_PROCESSING, SiapQueue.STATUS_RETRY].indexOf(log.status) < 0);
         if (logs.length) {
             const queueDir = path.join(process.cwd(), 'queue');
             if (!fs.existsSync(queueDir)) {
@@ -232,33 +694,34 @@ class SiapDequeue extends EventEmitter {
     }
 
     loadQueue() {
-        const filename = path.join(process.cwd(), 'queue', 'saved.queue');
-        if (fs.existsSync(filename) && typeof this.createQueue === 'function') {
-            const savedQueues = JSON.parse(fs.readFileSync(filename));
-            if (savedQueues) {
-                savedQueues.forEach(queue => this.createQueue(queue));
+        if (typeof this.createQueue === 'function') {
+            const queues = [];
+            // queues saved by previous version
+            const filename = path.join(process.cwd(), 'queue', 'saved.queue');
+            if (fs.existsSync(filename)) {
+                const savedQueues = JSON.parse(fs.readFileSync(filename));
+                if (Array.isArray(savedQueues)) {
+                    queues.push(...savedQueues);
+                }
+                fs.unlinkSync(filename);
             }
-            fs.unlinkSync(filename);
-        }
-    }
-
-    saveQueue() {
-        const queues = this.queues.filter(queue => queue.type !== SiapQueue.QUEUE_CALLBACK && queue.status === SiapQueue.STATUS_NEW);
-        if (queues.length) {
-            const savedQueues = queues.map(queue => {
-                return {
-                    type: queue.type,
-                    id: queue.id,
-                    data: queue.data,
-                    callback: queue.callback,
+            if (this._journal) {
+                queues.push(...this._journal.takePending());
+            }
+            queues.forEach(queue => {
+                if (!this.queues.find(q => q.id === queue.id)) {
+                    this.createQueue(Object.assign({restored: true}, queue));
                 }
             });
-            const queueDir = path.join(process.cwd(), 'queue');
-            if (!fs.existsSync(queueDir)) {
-                fs.mkdirSync(queueDir, {recursive: true});
+            if (queues.length) {
+                console.log('%d queue(s) restored', queues.length);
             }
-            const filename = path.join(queueDir, 'saved.queue');
-            fs.writeFileSync(filename, JSON.stringify(savedQueues, null, 2));
+        }
+    }
+
+    close() {
+        if (this._journal) {
+            this._journal.close();
         }
     }
 
@@ -279,6 +742,7 @@ class SiapQueue
 {
     constructor() {
         this.status = SiapQueue.STATUS_NEW;
+        this.created = new Date();
     }
 
     setType(type) {
@@ -300,7 +764,13 @@ class SiapQueue
     setStatus(status) {
         if (this.status !== status) {
             this.status = status;
+            if (this.finished()) {
+                this.endTime = new Date();
+            }
             console.log('Queue %s %s', this.toString(), this.getStatusText());
+            if (typeof this.onstatus === 'function') {
+                this.onstatus(status);
+            }
         }
     }
 
@@ -393,11 +863,147 @@ class SiapQueue
         return value;
     }
 
+    getPriority() {
+        let priority = this.data ? this.data.priority : undefined;
+        if (typeof priority === 'string') {
+            priority = isNaN(priority) ? SiapQueue.PRIORITIES[priority.toLowerCase()] : parseInt(priority);
+        }
+        return typeof priority === 'number' && !isNaN(priority) ? priority : SiapQueue.PRIORITIES.normal;
+    }
+
+    getPriorityText() {
+        const priority = this.getPriority();
+        for (const k of Object.keys(SiapQueue.PRIORITIES)) {
+            if (SiapQueue.PRIORITIES[k] === priority) {
+                return k;
+            }
+        }
+        return priority.toString();
+    }
+
+    getDataTime(key) {
+        if (this.data && this.data[key]) {
+            const time = new Date(this.data[key]);
+            if (!isNaN(time)) {
+                return time;
+            }
+        }
+    }
+
+    isDue(time = null) {
+        const notBefore = this.getDataTime('notBefore');
+        return notBefore ? notBefore.getTime() <= (time || new Date()).getTime() : true;
+    }
+
+    isExpired(time = null) {
+        const notAfter = this.getDataTime('notAfter');
+        return notAfter ? notAfter.getTime() < (time || new Date()).getTime() : false;
+    }
+
     start() {
         this.setTime();
         this.setStatus(SiapQueue.STATUS_PROCESSING);
     }
 
+    startStep(name) {
+        if (!this.steps) {
+            this.steps = [];
+        }
+        const step = {name, start: new Date(), attempt: (this.retryCount || 0) + 1};
+        this.steps.push(step);
+        this.step = step;
+        console.log('Queue %s step %s started', this.toString(), name);
+        if (typeof this.onstep === 'function') {
+            this.onstep(step);
+        }
+        return step;
+    }
+
+    endStep(step, err = null) {
+        step.end = new Date();
+        step.duration = step.end.getTime() - step.start.getTime();
+        step.status = err ? SiapQueue.STATUS_ERROR : SiapQueue.STATUS_DONE;
+        if (err) {
+            step.error = err instanceof Error ? err.message : err;
+        } else if (!this.isCompleted(step.name)) {
+            if (!this.completed) {
+                this.completed = [];
+            }
+            this.completed.push(step.name);
+        }
+        console.log('Queue %s step %s %s in %d ms', this.toString(), step.name, step.status, step.duration);
+        if (typeof this.onstep === 'function') {
+            this.onstep(step);
+        }
+    }
+
+    isCompleted(step) {
+        return Array.isArray(this.completed) && this.completed.indexOf(step) >= 0;
+    }
+
+    getValues() {
+        const res = {};
+        for (const k of SiapQueue.VALUES) {
+            if (this[k] !== undefined) {
+                res[k] = this[k];
+            }
+        }
+        return res;
+    }
+
+    getSp2d() {
+        const res = {};
+        if (this.SP2D) {
+            res.sp2d = this.SP2D;
+            if (this.SP2D_DATE) {
+                res.sp2dDate = this.SP2D_DATE;
+            }
+            if (this.SP2D_STATUS) {
+                res.sp2dStatus = this.SP2D_STATUS;
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Restore completed steps and harvested values so the queue can be resumed.
+     *
+     * @param {object} resume Resume data contains steps and values
+     */
+    restore(resume) {
+        if (resume) {
+            if (Array.isArray(resume.steps)) {
+                this.completed = [...resume.steps];
+            }
+            if (resume.values) {
+                for (const k of SiapQueue.VALUES) {
+                    if (resume.values[k] !== undefined) {
+                        this[k] = resume.values[k];
+                    }
+                }
+            }
+        }
+    }
+
+    getStepInfo(step) {
+        const res = {name: step.name, attempt: step.attempt, start: step.start.toString()};
+        if (step.end) {
+            res.end = step.end.toString();
+            res.duration = step.duration;
+            res.status = step.status;
+            if (step.error) {
+                res.error = step.error;
+            }
+            if (step.artifact) {
+                res.artifact = step.artifact;
+                res.url = step.url;
+            }
+        } else {
+            res.status = SiapQueue.STATUS_PROCESSING;
+        }
+        return res;
+    }
+
     done(result) {
         this.setStatus(SiapQueue.STATUS_DONE);
         this.setResult(result);
@@ -409,12 +1015,7 @@ class SiapQueue
     }
 
     finished() {
-        return [
-            SiapQueue.STATUS_DONE,
-            SiapQueue.STATUS_ERROR,
-            SiapQueue.STATUS_TIMED_OUT,
-            SiapQueue.STATUS_SKIPPED,
-        ].indexOf(this.status) >= 0;
+        return SiapQueue.finishedStatuses().indexOf(this.status) >= 0;
     }
 
     getLog(raw = false) {
@@ -431,6 +1032,56 @@ class SiapQueue
             res.result = this.result instanceof Error ? this.result.toString() :
                 (!raw && (Array.isArray(this.result) || typeof this.result === 'object') ? util.inspect(this.result) : this.result);
         }
+        if (this.steps) {
+            res.steps = this.steps.map(step => this.getStepInfo(step));
+        }
+        return res;
+    }
+
+    getDetail() {
+        const res = {id: this.id, type: this.type, status: this.status};
+        const info = this.getInfo();
+        if (info) {
+            res.name = info;
+        }
+        const id = this.getMappedData('info.id');
+        if (id !== undefined) {
+            res.record = id;
+        }
+        res.created = this.created.toString();
+        if (this.time) {
+            res.started = this.time.toString();
+        }
+        if (this.endTime) {
+            res.finished = this.endTime.toString();
+        }
+        for (const k of ['notBefore', 'notAfter']) {
+            const time = this.getDataTime(k);
+            if (time) {
+                res[k] = time.toString();
+            }
+        }
+        res.priority = this.getPriorityText();
+        res.retry = this.retryCount || 0;
+        if (this.steps) {
+            res.steps = this.steps.map(step => this.getStepInfo(step));
+        }
+        for (const k of ['SPP', 'SPM', 'STATUS']) {
+            if (this[k]) {
+                res[k.toLowerCase()] = this[k];
+            }
+        }
+        Object.assign(res, this.getSp2d());
+        if (this.result !== undefined) {
+            if (this.result instanceof Error || [SiapQueue.STATUS_ERROR, SiapQueue.STATUS_TIMED_OUT].indexOf(this.status) >= 0) {
+                res.error = this.result instanceof Error ? this.result.message : this.result;
+                if (this.result instanceof Error && typeof this.result.toJSON === 'function') {
+                    res.response = this.result.toJSON();
+                }
+            } else {
+                res.result = this.result;
+            }
+        }
         return res;
     }
 
@@ -447,32 +1098,65 @@ class SiapQueue
         return `${this.getTypeText()}:${this.id}${info ? ' ' + info : ''}`;
     }
 
-    static create(type, data, callback = null) {
+    static create(type, data, callback = null, secret = null) {
         const queue = new this();
         queue.setType(type);
         queue.setData(data);
         if (callback) {
             queue.callback = callback;
         }
+        if (secret) {
+            queue.secret = secret;
+        }
         return queue;
     }
 
-    static createSppQueue(data, callback = null) {
-        return this.create(SiapQueue.QUEUE_SPP, data, callback);
+    static createSppQueue(data, callback = null, secret = null) {
+        return this.create(SiapQueue.QUEUE_SPP, data, callback, secret);
     }
 
-    static createCallbackQueue(data, callback = null) {
-        return this.create(SiapQueue.QUEUE_CALLBACK, data, callback);
+    static createSppStatusQueue(data, callback = null, secret = null) {
+        return this.create(SiapQueue.QUEUE_SPP_STATUS, data, callback, secret);
+    }
+
+    static createSp2dQueue(data, callback = null, secret = null) {
+        return this.create(SiapQueue.QUEUE_SP2D, data, callback, secret);
+    }
+
+    static createSppDeleteQueue(data, callback = null, secret = null) {
+        return this.create(SiapQueue.QUEUE_SPP_DELETE, data, callback, secret);
+    }
+
+    static createRekananQueue(data, callback = null, secret = null) {
+        return this.create(SiapQueue.QUEUE_REKANAN, data, callback, secret);
+    }
+
+    static createCallbackQueue(data, callback = null, secret = null) {
+        return this.create(SiapQueue.QUEUE_CALLBACK, data, callback, secret);
     }
 
     static createCaptchaQueue(data) {
         return this.create(SiapQueue.QUEUE_CAPTCHA, data);
     }
 
+    static createHealthQueue(data) {
+        return this.create(SiapQueue.QUEUE_HEALTH, data);
+    }
+
     static createNoopQueue(data) {
         return this.create(SiapQueue.QUEUE_NOOP, data);
     }
 
+    static finishedStatuses() {
+        return [
+            SiapQueue.STATUS_DONE,
+            SiapQueue.STATUS_ERROR,
+            SiapQueue.STATUS_TIMED_OUT,
+            SiapQueue.STATUS_SKIPPED,
+            SiapQueue.STATUS_CANCELLED,
+        ];
+    }
+
     static createDequeuer() {
         if (!dequeue) {
             dequeue = new SiapDequeue();
@@ -487,17 +1171,52 @@ class SiapQueue
         return dequeue.add(queue);
     }
 
-    static hasPendingQueue(queue) {
+    static publish(queue, event, data = {}) {
+        if (!dequeue) {
+            throw new Error('No dequeue instance has been created!');
+        }
+        return dequeue.publish(queue, event, data);
+    }
+
+    /**
+     * Check if id is safe to be used as queue id, which is also used as
+     * filename and journal key.
+     *
+     * @param {any} id Queue id
+     * @returns {boolean}
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+    }
+
+    /**
+     * Check if a queue with the same info is pending, by default of the same
+     * type as the queue.
+     *
+     * @param {SiapQueue} queue The queue
+     * @param {string} type Queue type to check
+     * @returns {boolean}
+     */
+    static hasPendingQueue(queue, type = null) {
+        type = type || queue.type;
         if (dequeue) {
-            const queues = dequeue.queues.filter(q => q.type === queue.type && q.info === queue.info && [SiapQueue.STATUS_NEW, SiapQueue.STATUS_PROCESSING].indexOf(q.status) >= 0);
+            // new queue includes scheduled one still waiting for its time, and retrying
+            // queue is only waiting for its backoff
+            const pending = [SiapQueue.STATUS_NEW, SiapQueue.STATUS_PROCESSING, SiapQueue.STATUS_RETRY];
+            const queues = dequeue.queues.filter(q => q.type === type && q.info === queue.info && pending.indexOf(q.status) >= 0);
             return queues.length ? true : false;
         }
         return false;
     }
 
     static get QUEUE_SPP() { return 'spp' }
+    static get QUEUE_SPP_STATUS() { return 'spp-status' }
+    static get QUEUE_SP2D() { return 'sp2d' }
+    static get QUEUE_SPP_DELETE() { return 'spp-delete' }
+    static get QUEUE_REKANAN() { return 'rekanan' }
     static get QUEUE_CALLBACK() { return 'callback' }
     static get QUEUE_CAPTCHA() { return 'captcha' }
+    static get QUEUE_HEALTH() { return 'health' }
     static get QUEUE_NOOP() { return 'noop' }
 
     static get STATUS_NEW() { return 'new' }
@@ -506,6 +1225,43 @@ class SiapQueue
     static get STATUS_ERROR() { return 'error' }
     static get STATUS_TIMED_OUT() { return 'timeout' }
     static get STATUS_SKIPPED() { return 'skipped' }
+    static get STATUS_CANCELLED() { return 'cancelled' }
+    static get STATUS_RETRY() { return 'retry' }
+
+    static get PRIORITIES() { return {low: -1, normal: 0, high: 1, urgent: 2} }
+
+    static get EVENT_QUEUED() { return 'queued' }
+    static get EVENT_STARTED() { return 'started' }
+    static get EVENT_SPP_CREATED() { return 'spp-created' }
+    static get EVENT_SPP_VERIFIED() { return 'spp-verified' }
+    static get EVENT_SPM_APPROVED() { return 'spm-approved' }
+    static get EVENT_SP2D_CREATED() { return 'sp2d-created' }
+    static get EVENT_DONE() { return 'done' }
+    static get EVENT_ERROR() { return 'error' }
+    static get EVENT_FAILED() { return 'failed' }
+    static get EVENT_CAPTCHA() { return 'captcha' }
+
+    static get EVENTS() {
+        return [
+            this.EVENT_QUEUED,
+            this.EVENT_STARTED,
+            this.EVENT_SPP_CREATED,
+            this.EVENT_SPP_VERIFIED,
+            this.EVENT_SPM_APPROVED,
+            this.EVENT_SP2D_CREATED,
+            this.EVENT_DONE,
+            this.EVENT_FAILED,
+            this.EVENT_CAPTCHA,
+        ];
+    }
+
+    static get LEGACY_EVENTS() { return [this.EVENT_DONE, this.EVENT_ERROR] }
+
+    static get VALUES() { return ['SPP', 'SPM', 'STATUS', 'SP2D', 'SP2D_DATE', 'SP2D_STATUS'] }
+
+    static get ERROR_RETRY() { return 'retry' }
+    static get ERROR_FATAL() { return 'fatal' }
+    static get ERROR_ANNOUNCE() { return 'announce' }
 }
 
 module.exports = SiapQueue;
@@ -0,0 +1,279 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Encrypted store of role users and mappings.
+ *
+ * The store holds the same data as `roles.json`, i.e. `users` and `roles`, encrypted
+ * using AES-256-GCM with a key derived from the one taken from environment or
+ * a key file.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SiapRoles {
+
+    users = {}
+    roles = {}
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Store filename
+     * @param {string} key Encryption key
+     */
+    constructor(filename, key) {
+        this.filename = filename;
+        this.key = key;
+    }
+
+    /**
+     * Check if store is exist.
+     *
+     * @returns {boolean}
+     */
+    exists() {
+        return fs.existsSync(this.filename);
+    }
+
+    /**
+     * Read and decrypt the store.
+     *
+     * @returns {SiapRoles}
+     */
+    load() {
+        this.checkKey();
+        const store = JSON.parse(fs.readFileSync(this.filename));
+        if (store.cipher !== SiapRoles.CIPHER) {
+            throw new Error(`Unsupported roles store cipher ${store.cipher}!`);
+        }
+        let data;
+        try {
+            const decipher = crypto.createDecipheriv(SiapRoles.CIPHER, this.deriveKey(Buffer.from(store.salt, 'base64')),
+                Buffer.from(store.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(store.tag, 'base64'));
+            data = Buffer.concat([decipher.update(Buffer.from(store.data, 'base64')), decipher.final()]);
+        }
+        catch (err) {
+            throw new Error('Unable to decrypt roles store, the key may be invalid!');
+        }
+        this.import(JSON.parse(data.toString()));
+        return this;
+    }
+
+    /**
+     * Encrypt and write the store.
+     *
+     * @returns {SiapRoles}
+     */
+    save() {
+        this.checkKey();
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(SiapRoles.CIPHER, this.deriveKey(salt), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(this.toJSON())), cipher.final()]);
+        const store = {
+            version: SiapRoles.VERSION,
+            cipher: SiapRoles.CIPHER,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+        }
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        const tmpfile = this.filename + '.tmp';
+        fs.writeFileSync(tmpfile, JSON.stringify(store, null, 4), {mode: 0o600});
+        fs.renameSync(tmpfile, this.filename);
+        return this;
+    }
+
+    checkKey() {
+        if (!this.key) {
+            throw new Error(`Roles store key is not available, set ${SiapRoles.ENV_KEY} or roles key file!`);
+        }
+    }
+
+    deriveKey(salt) {
+        return crypto.scryptSync(this.key, salt, 32);
+    }
+
+    /**
+     * Replace store content with roles data.
+     *
+     * @param {object} data Roles data
+     * @returns {SiapRoles}
+     */
+    import(data) {
+        this.users = data.users ? data.users : {};
+        this.roles = data.roles ? data.roles : {};
+        return this;
+    }
+
+    /**
+     * Add a user.
+     *
+     * @param {string} user User name as referenced by role mapping
+     * @param {string} username SIPD username
+     * @param {string} password SIPD password
+     * @param {string} role Account title to select, if differs from the role
+     * @returns {SiapRoles}
+     */
+    addUser(user, username, password, role = null) {
+        if (this.users[user]) {
+            throw new Error(`User ${user} already exist!`);
+        }
+        this.users[user] = {username, password};
+        if (role) {
+            this.users[user].role = role;
+        }
+        return this;
+    }
+
+    /**
+     * Change user password.
+     *
+     * @param {string} user User name
+     * @param {string} password New password
+     * @returns {SiapRoles}
+     */
+    rotateUser(user, password) {
+        this.getUser(user).password = password;
+        return this;
+    }
+
+    /**
+     * Remove a user which is no longer mapped.
+     *
+     * @param {string} user User name
+     * @returns {SiapRoles}
+     */
+    removeUser(user) {
+        this.getUser(user);
+        const mapped = [];
+        for (const [keg, roles] of Object.entries(this.roles)) {
+            for (const role of SiapRoles.LOGIN_ROLES) {
+                if (roles[role] === user) {
+                    mapped.push(`${keg}:${role}`);
+                }
+            }
+        }
+        if (mapped.length) {
+            throw new Error(`User ${user} is still mapped to ${mapped.join(', ')}!`);
+        }
+        delete this.users[user];
+        return this;
+    }
+
+    getUser(user) {
+        if (!this.users[user]) {
+            throw new Error(`User ${user} is not exist!`);
+        }
+        return this.users[user];
+    }
+
+    /**
+     * Map a role of kegiatan to a user. For PPTK, the value is the name
+     * as chosen in the form instead of a user.
+     *
+     * @param {string} keg Kegiatan code
+     * @param {string} role Role, one of bp, pa, ppk, or pptk
+     * @param {string} user User name
+     * @returns {SiapRoles}
+     */
+    mapRole(keg, role, user) {
+        if (SiapRoles.ROLES.indexOf(role) < 0) {
+            throw new Error(`Role ${role} is not supported, use one of ${SiapRoles.ROLES.join(', ')}!`);
+        }
+        if (SiapRoles.LOGIN_ROLES.indexOf(role) >= 0) {
+            this.getUser(user);
+        }
+        if (!this.roles[keg]) {
+            this.roles[keg] = {};
+        }
+        this.roles[keg][role] = user;
+        return this;
+    }
+
+    /**
+     * Unmap a role of kegiatan, or the whole kegiatan if role is omitted.
+     *
+     * @param {string} keg Kegiatan code
+     * @param {string} role Role
+     * @returns {SiapRoles}
+     */
+    unmapRole(keg, role = null) {
+        if (!this.roles[keg] || (role && this.roles[keg][role] === undefined)) {
+            throw new Error(`Role ${role ? keg + ':' + role : keg} is not mapped!`);
+        }
+        if (role) {
+            delete this.roles[keg][role];
+        }
+        if (!role || !Object.keys(this.roles[keg]).length) {
+            delete this.roles[keg];
+        }
+        return this;
+    }
+
+    toJSON() {
+        return {users: this.users, roles: this.roles};
+    }
+
+    /**
+     * Get store key from environment or key file.
+     *
+     * @param {string} keyfile Key filename
+     * @returns {string|undefined}
+     */
+    static getKey(keyfile = null) {
+        if (process.env[this.ENV_KEY]) {
+            return process.env[this.ENV_KEY];
+        }
+        if (keyfile && fs.existsSync(keyfile)) {
+            return fs.readFileSync(keyfile).toString().trim();
+        }
+    }
+
+    /**
+     * Generate a random key.
+     *
+     * @returns {string}
+     */
+    static generateKey() {
+        return crypto.randomBytes(32).toString('base64');
+    }
+
+    static get VERSION() { return 1 }
+    static get CIPHER() { return 'aes-256-gcm' }
+    static get ENV_KEY() { return 'SIAP_ROLES_KEY' }
+    static get ROLES() { return ['bp', 'pa', 'ppk', 'pptk'] }
+    static get LOGIN_ROLES() { return ['bp', 'pa', 'ppk'] }
+}
+
+module.exports = SiapRoles;
\ No newline at end of file
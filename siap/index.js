@@ -26,23 +26,44 @@ const util = require('util');
 const Queue = require('@ntlab/work/queue');
 const WebRobot = require('@ntlab/webrobot');
 const { By, error } = require('selenium-webdriver');
+const SiapSelector = require('./selector');
 const debug = require('debug')('siap:core');
 
 class Siap extends WebRobot {
 
-    LOGIN_FORM = '//div[contains(@class,"auth-box")]/form'
-    CAPTCHA_MODAL = '//div[contains(@class,"chakra-modal__body")]/h4[contains(text(),"CAPTCHA")]/..'
-
     state = {}
 
     initialize() {
         this.delay = this.options.delay || 500;
         this.opdelay = this.options.opdelay || 400;
         this.year = this.options.year || new Date().getFullYear();
+        this.selectors = SiapSelector.from(this.options);
         super.constructor.expectErr(SiapAnnouncedError);
         super.constructor.expectErr(SiapRetryError);
     }
 
+    /**
+     * Get selector expression from catalogue.
+     *
+     * @param {string} name Selector name
+     * @param {object} vars Placeholder values
+     * @returns {string}
+     */
+    selector(name, vars = null) {
+        return this.selectors.get(name, vars);
+    }
+
+    /**
+     * Get selector locator from catalogue.
+     *
+     * @param {string} name Selector name
+     * @param {object} vars Placeholder values
+     * @returns {By}
+     */
+    by(name, vars = null) {
+        return this.selectors.by(name, vars);
+    }
+
     setState(states) {
         let updated = false;
         Object.keys(states).forEach(s => {
@@ -74,22 +95,22 @@ class Siap extends WebRobot {
                 [w => this.gotoPenatausahaan()],
                 [w => this.isLoggedIn()],
                 [w => this.logout(), w => force],
-                [w => this.waitFor(By.xpath(this.LOGIN_FORM)), w => force || !w.getRes(1)],
+                [w => this.waitFor(this.by('login.form')), w => force || !w.getRes(1)],
                 [w => this.fillInForm([
-                        {parent: w.res, target: By.xpath('.//label[text()="Tahun"]/../div/div/div/div[2]/input[@role="combobox"]'), value: this.year, onfill: (el, value) => this.reactSelect(el, value, 'Tahun anggaran tidak tersedia!')},
-                        {parent: w.res, target: By.id('ed_username'), value: username},
-                        {parent: w.res, target: By.id('ed_password'), value: password},
+                        {parent: w.res, target: this.by('login.year'), value: this.year, onfill: (el, value) => this.reactSelect(el, value, 'Tahun anggaran tidak tersedia!')},
+                        {parent: w.res, target: this.by('login.username'), value: username},
+                        {parent: w.res, target: this.by('login.password'), value: password},
                     ],
-                    By.xpath(this.LOGIN_FORM),
-                    By.xpath('//button[@type="submit"]')), w => force || !w.getRes(1)],
-                [w => this.waitForProcessing(w.getRes(4), By.xpath('.//svg')), w => force || !w.getRes(1)],
+                    this.by('login.form'),
+                    this.by('login.submit')), w => force || !w.getRes(1)],
+                [w => this.waitForProcessing(w.getRes(4), this.by('login.processing')), w => force || !w.getRes(1)],
                 [w => this.selectAccount(role), w => force || !w.getRes(1)],
                 [w => this.waitCaptcha(), w => force || !w.getRes(1)],
                 [w => this.waitLoader(), w => force || !w.getRes(1)],
                 [w => this.dismissUpdate()],
             ])
             .then(() => resolve())
-            .catch(err => reject(new SiapRetryError(err instanceof Error ? err.message : err)));
+            .catch(err => reject(SiapError.tag(new SiapRetryError(err instanceof Error ? err.message : err), 'login')));
         });
     }
 
@@ -103,7 +124,7 @@ class Siap extends WebRobot {
 
     waitCaptcha() {
         return this.works([
-            [w => this.findElements(By.xpath(this.CAPTCHA_MODAL))],
+            [w => this.findElements(this.by('captcha.modal'))],
             [w => this.waitSolvedCaptcha(), w => w.getRes(0).length],
         ]);
     }
@@ -112,7 +133,7 @@ class Siap extends WebRobot {
         return this.works([
             [w => Promise.resolve(console.log('Awaiting captcha to be solved...'))],
             [w => Promise.resolve(this.setState({captcha: true}))],
-            [w => this.waitForPresence(By.xpath(this.CAPTCHA_MODAL), false, 0)],
+            [w => this.waitForPresence(this.by('captcha.modal'), false, 0)],
             [w => this.waitSpinner(w.getRes(2))],
             [w => Promise.resolve(this.setState({captcha: false}))],
         ]);
@@ -120,10 +141,11 @@ class Siap extends WebRobot {
 
     captchaImage() {
         return this.works([
-            [w => this.findElements(By.xpath(this.CAPTCHA_MODAL))],
+            [w => this.findElements(this.by('captcha.modal'))],
             [w => new Promise((resolve, reject) => {
+                const by = this.by('captcha.image');
                 (function f() {
-                    w.getRes(0)[0].findElements(By.xpath('.//img'))
+                    w.getRes(0)[0].findElements(by)
                         .then(elements => {
                             if (elements.length) {
                                 resolve(elements[0]);
@@ -140,8 +162,8 @@ class Siap extends WebRobot {
 
     solveCaptcha(code) {
         return this.works([
-            [w => this.findElements(By.xpath(this.CAPTCHA_MODAL))],
-            [w => w.getRes(0)[0].findElements(By.xpath('.//input[@data-index]')), w => w.getRes(0).length],
+            [w => this.findElements(this.by('captcha.modal'))],
+            [w => w.getRes(0)[0].findElements(this.by('captcha.input')), w => w.getRes(0).length],
             [w => new Promise((resolve, reject) => {
                 const q = new Queue(w.getRes(1), el => {
                     this.works([
@@ -159,15 +181,15 @@ class Siap extends WebRobot {
 
     reloadCaptcha() {
         return this.works([
-            [w => this.findElements(By.xpath(this.CAPTCHA_MODAL))],
-            [w => w.getRes(0)[0].findElements(By.xpath('.//div[@class="custom-tippy"]')), w => w.getRes(0).length],
+            [w => this.findElements(this.by('captcha.modal'))],
+            [w => w.getRes(0)[0].findElements(this.by('captcha.reload')), w => w.getRes(0).length],
             [w => w.getRes(1)[0].click(), w => w.getRes(0).length],
         ]);
     }
 
     cancelCaptcha() {
         if (this.state.captcha) {
-            return this.waitAndClick(By.xpath('//footer/button[2]/span/span[text()="Batalkan"]/../..'));
+            return this.waitAndClick(this.by('captcha.cancel'));
         } else {
             return Promise.resolve();
         }
@@ -177,9 +199,9 @@ class Siap extends WebRobot {
         return this.works([
             [w => this.getDriver().getCurrentUrl()],
             [w => Promise.resolve(w.getRes(0).indexOf('landing') > 0)],
-            [w => this.waitAndClick(By.xpath('//h1[text()="INFORMASI KEUANGAN DAERAH"]/../button[text()="Selengkapnya"]')), w => w.getRes(1)],
-            [w => this.waitAndClick(By.xpath('//div/p[text()="Penatausahaan Keuangan Daerah"]/../../button[text()="Pilih Modul Ini"]')), w => w.getRes(1)],
-            [w => this.waitAndClick(By.xpath('//div/p[text()="SIPD RI"]/../../button[text()="Masuk"]')), w => w.getRes(1)],
+            [w => this.waitAndClick(this.by('landing.info')), w => w.getRes(1)],
+            [w => this.waitAndClick(this.by('landing.module')), w => w.getRes(1)],
+            [w => this.waitAndClick(this.by('landing.enter')), w => w.getRes(1)],
             [w => this.getDriver().getWindowHandle(), w => w.getRes(1)],
             [w => this.getDriver().getAllWindowHandles(), w => w.getRes(1)],
             [w => new Promise((resolve, reject) => {
@@ -203,15 +225,15 @@ class Siap extends WebRobot {
             [w => this.getDriver().getCurrentUrl()],
             [w => Promise.resolve(w.getRes(0).indexOf('login') > 0)],
             [w => this.waitLoader(), w => w.getRes(1)],
-            [w => this.findElements(By.xpath(this.LOGIN_FORM)), w => w.getRes(1)],
+            [w => this.findElements(this.by('login.form')), w => w.getRes(1)],
             [w => Promise.resolve(w.getRes(1) && w.getRes(3).length > 0 ? false : true)],
         ]);
     }
 
     selectAccount(role) {
         return this.works([
-            [w => this.waitFor(By.xpath('//div[@class="container-account-select"]'))],
-            [w => w.getRes(0).findElement(By.xpath(`.//div[@class="container-txt-account-list"]/h1[text()="${role}"]/../../../button`))],
+            [w => this.waitFor(this.by('account.list'))],
+            [w => w.getRes(0).findElement(this.by('account.select', {role}))],
             [w => w.getRes(1).click()],
             [w => this.waitSpinner(w.getRes(0))],
         ]);
@@ -219,8 +241,8 @@ class Siap extends WebRobot {
 
     dismissUpdate() {
         return this.works([
-            [w => this.waitForPresence(By.xpath('//h1[contains(@class,"css-nwjwe-j2aft") and text()="Pembaruan"]'))],
-            [w => this.findElement(By.xpath('//button[text()="Sembunyikan"]')), w => w.getRes(0)],
+            [w => this.waitForPresence(this.by('update.title'))],
+            [w => this.findElement(this.by('update.dismiss')), w => w.getRes(0)],
             [w => w.getRes(1).click(), w => w.getRes(0)],
         ]);
     }
@@ -230,7 +252,7 @@ class Siap extends WebRobot {
             [w => el.click()],
             [w => el.getAttribute('aria-controls')],
             [w => this.findElement(By.id(w.getRes(1)))],
-            [w => w.getRes(2).findElements(By.xpath(`.//*[contains(.,"${value}")]`))],
+            [w => w.getRes(2).findElements(this.by('common.option', {value}))],
             [w => Promise.reject(SiapAnnouncedError.create(util.format(message ? message : 'Pilihan %s tidak tersedia!', value))), w => w.getRes(3).length === 0],
             [w => w.getRes(3)[0].click(), w => w.getRes(3).length],
         ]);
@@ -239,17 +261,17 @@ class Siap extends WebRobot {
     clickCheckbox(el, value) {
         return this.works([
             [w => el.getAttribute('checked')],
-            [w => el.findElement(By.xpath('..')), w => w.getRes(0) != value],
+            [w => el.findElement(this.by('common.parent')), w => w.getRes(0) != value],
             [w => w.getRes(1).click(), w => w.getRes(0) != value],
         ]);
     }
 
     waitLoader() {
-        return this.waitForPresence(By.xpath('//div[@class="container-rendering"]'));
+        return this.waitForPresence(this.by('common.loader'));
     }
 
     waitSpinner(el) {
-        return this.waitForProcessing(el, By.xpath('.//div[contains(@class,"chakra-spinner")]'));
+        return this.waitForProcessing(el, this.by('common.spinner'));
     }
 
     waitForProcessing(el, data) {
@@ -328,23 +350,23 @@ class Siap extends WebRobot {
                     const last = ++level === length;
                     switch (level) {
                         case 1:
-                            root = '//div[@class="simplebar-content"]/ul/li';
+                            root = this.selector('menu.level1');
                             if (!waitLoader) {
                                 waitLoader = true;
-                                loader = '//div[@class="simplebar-content"]/ul/div/div[contains(@class,"animate-pulse")]';
+                                loader = this.selector('menu.loader');
                             }
                             break;
                         case 2:
-                            root = './../div[@class="ReactCollapse--collapse"]/div[@class="ReactCollapse--content"]/div/div/div/div';
+                            root = this.selector('menu.level2');
                             if (!last) {
                                 n = 4;
                             }
                             break;
                         case 3:
-                            root = './../../../div/div[@class="ReactCollapse--collapse"]/div[@class="ReactCollapse--content"]/div';
+                            root = this.selector('menu.level3');
                             break;
                         default:
-                            root = './../../../../div/div[@class="ReactCollapse--collapse"]/div[@class="ReactCollapse--content"]/div';
+                            root = this.selector('menu.level4');
                             n = 4;
                             break;
                     }
@@ -370,7 +392,7 @@ class Siap extends WebRobot {
                             q.next();
                         }
                     })
-                    .catch(err => reject(err));
+                    .catch(err => reject(SiapError.tag(err, 'navigate')));
                 });
                 q.once('done', () => {
                     if (restart) {
@@ -402,6 +424,35 @@ class Siap extends WebRobot {
     }
 }
 
+class SiapError extends Error {
+
+    toString() {
+        return this.message;
+    }
+
+    [util.inspect.custom](depth, options, inspect) {
+        return this.toString();
+    }
+
+    /**
+     * Tag an error with its source operation, a non error rejection is
+     * converted to error so it can be tagged.
+     *
+     * @param {Error|string} err The error
+     * @param {string} source Error source such as login, navigate, or form
+     * @returns {Error}
+     */
+    static tag(err, source) {
+        if (!(err instanceof Error)) {
+            err = new SiapError(err);
+        }
+        if (!err.source) {
+            err.source = source;
+        }
+        return err;
+    }
+}
+
 class SiapAnnouncedError extends Error {
 
     toString() {
@@ -424,4 +475,28 @@ class SiapAnnouncedError extends Error {
 class SiapRetryError extends Error {
 }
 
-module.exports = {Siap, SiapAnnouncedError, SiapRetryError};
\ No newline at end of file
+class SiapCallbackError extends SiapError {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} message Error message
+     * @param {object} details Error details such as status, url, location, code, or body
+     */
+    constructor(message, details = {}) {
+        super(message);
+        Object.assign(this, details);
+    }
+
+    toJSON() {
+        const res = {message: this.message};
+        for (const k of ['status', 'url', 'location', 'code', 'body']) {
+            if (this[k] !== undefined) {
+                res[k] = this[k];
+            }
+        }
+        return res;
+    }
+}
+
+module.exports = {Siap, SiapError, SiapAnnouncedError, SiapRetryError, SiapCallbackError};
\ No newline at end of file
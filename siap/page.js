@@ -24,12 +24,12 @@
 
 const Queue = require('@ntlab/work/queue');
 const { Siap } = require('.');
+const SiapSelector = require('./selector');
 const { By } = require('selenium-webdriver');
 
 class SiapPage {
 
     PAGE_SIZE = 10
-    PAGINATION_CLASS = 'pagination-custom'
 
     /**
      * Constructor.
@@ -46,10 +46,10 @@ class SiapPage {
 
     setup() {
         const selector = this.options.selector ? this.options.selector :
-            '//h1[contains(@class,"card-title") and text()="%TITLE%"]/../../..';
+            this.parent.selector('page.wrapper');
         return this.works([
             [w => Promise.reject('Page title not specified!'), w => !this.options.title],
-            [w => this.parent.findElement(By.xpath(selector.replace(/%TITLE%/, this.options.title)))],
+            [w => this.parent.findElement(By.xpath(SiapSelector.format(selector, {title: this.options.title})))],
             [w => Promise.resolve(this._wrapper = w.res)],
             [w => this.parent.sleep(this.parent.opdelay)],
             [w => this.findResult()],
@@ -60,7 +60,7 @@ class SiapPage {
 
     findEmpty() {
         const selector = this.options.emptySelector ? this.options.emptySelector :
-            './/div[@class="container-no-data-access-modal"]';
+            this.parent.selector('page.empty');
         return this.works([
             [w => Promise.reject('Wrapper is required!'), w => !this._wrapper],
             [w => this._wrapper.findElements(By.xpath(selector))],
@@ -71,7 +71,7 @@ class SiapPage {
 
     findTable() {
         const selector = this.options.tableSelector ? this.options.tableSelector :
-            './/div[contains(@class,"css-table-responsive")]';
+            this.parent.selector('page.table');
         return this.works([
             [w => Promise.reject('Wrapper is required!'), w => !this._wrapper],
             [w => this._wrapper.findElements(By.xpath(selector))],
@@ -82,7 +82,7 @@ class SiapPage {
 
     findPagination() {
         const selector = this.options.paginationSelector ? this.options.paginationSelector :
-            './/div[@class="container-pagination-table-list"]';
+            this.parent.selector('page.pagination');
         return this.works([
             [w => Promise.reject('Wrapper is required!'), w => !this._wrapper],
             [w => this._wrapper.findElements(By.xpath(selector))],
@@ -129,7 +129,7 @@ class SiapPage {
     getPage() {
         return this.works([
             [w => Promise.reject('Pager not initialized!'), w => !this._pager],
-            [w => this._pager.findElement(By.xpath(`.//ul[@class="${this.PAGINATION_CLASS}"]/li[@class="selected"]`))],
+            [w => this._pager.findElement(this.parent.by('page.current'))],
             [w => w.getRes(1).getAttribute('innerText')],
             [w => Promise.resolve(parseInt(w.getRes(2)))],
         ]);
@@ -138,7 +138,7 @@ class SiapPage {
     getPages() {
         return this.works([
             [w => Promise.reject('Pager not initialized!'), w => !this._pager],
-            [w => this._pager.findElements(By.xpath(`.//ul[@class="${this.PAGINATION_CLASS}"]/li[not (contains(@class,"previous") or contains(@class,"next"))]`))],
+            [w => this._pager.findElements(this.parent.by('page.pages'))],
             [w => w.getRes(1)[w.getRes(1).length - 1].getAttribute('innerText'), w => w.getRes(1).length],
             [w => Promise.resolve(parseInt(w.getRes(2))), w => w.getRes(1).length],
             [w => Promise.resolve(0), w => w.getRes(1).length == 0],
@@ -147,10 +147,10 @@ class SiapPage {
 
     gotoPage(page) {
         const selector = this.options.pageSelector ? this.options.pageSelector :
-            'li[text()="%PAGE%"]';
+            this.parent.selector('page.page');
         return this.works([
             [w => Promise.reject('Pager not initialized!'), w => !this._pager],
-            [w => this._pager.findElements(By.xpath(`.//ul[@class="${this.PAGINATION_CLASS}"]/${selector.replace(/%PAGE%/, page)}`))],
+            [w => this._pager.findElements(By.xpath(`${this.parent.selector('page.pager')}/${SiapSelector.format(selector, {page})}`))],
             [w => new Promise((resolve, reject) => {
                 if (w.getRes(1).length) {
                     resolve(w.getRes(1)[0]);
@@ -192,7 +192,7 @@ class SiapPage {
 
     getRows() {
         return this.works([
-            [w => this._table.findElements(By.xpath('.//table/tbody/tr')), w => this._table],
+            [w => this._table.findElements(this.parent.by('page.rows')), w => this._table],
             [w => Promise.resolve([]), w => !this._table],
         ]);
     }
@@ -202,7 +202,7 @@ class SiapPage {
             [w => Promise.reject('Search not initialized!'), w => !this._search],
             [w => this._search_toggler.click(), w => this._search_toggler],
             [w => this._search_filter.click(), w => this._search_filter && key],
-            [w => this._search_filter.findElements(By.xpath(`./../*/*/button/span/p[text()="${key}"]/../..`)), w => this._search_filter && key],
+            [w => this._search_filter.findElements(this.parent.by('page.filter-key', {key})), w => this._search_filter && key],
             [w => Promise.reject(`No filter key found for ${key}!`), w => this._search_filter && key && !w.getRes(3).length],
             [w => w.getRes(3)[0].click(), w => this._search_filter && key && w.getRes(3).length],
             [w => this.parent.fillInput(this._search, term, this.parent.options.clearUsingKey)],
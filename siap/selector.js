@@ -0,0 +1,222 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { By } = require('selenium-webdriver');
+
+/**
+ * Named selector catalogue of SIPD UI.
+ *
+ * Catalogue is a JSON object of `version`, `selectors`, optional `years`
+ * which overrides selectors for a budget year, and optional `pages` which
+ * describes where selectors can be found for health check. Selectors are grouped and
+ * referenced by dotted name such as `login.form`. A selector is an xpath
+ * expression unless it starts with `#` which denotes an element id. A selector
+ * may contain placeholder like `%TITLE%` which is replaced on use.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SiapSelector {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} selectors Grouped selectors
+     * @param {string} version Catalogue version
+     * @param {object} pages Pages to check selectors health
+     */
+    constructor(selectors = {}, version = null, pages = {}) {
+        this.selectors = selectors;
+        this.version = version;
+        this.pages = pages;
+    }
+
+    /**
+     * Check if a selector is defined.
+     *
+     * @param {string} name Selector name
+     * @returns {boolean}
+     */
+    has(name) {
+        return typeof this.resolve(name) === 'string';
+    }
+
+    /**
+     * Get selector expression.
+     *
+     * @param {string} name Selector name
+     * @param {object} vars Placeholder values
+     * @returns {string}
+     */
+    get(name, vars = null) {
+        const selector = this.resolve(name);
+        if (typeof selector !== 'string') {
+            throw new Error(`Selector ${name} is not defined!`);
+        }
+        return this.constructor.format(selector, vars);
+    }
+
+    /**
+     * Get selector as WebDriver locator.
+     *
+     * @param {string} name Selector name
+     * @param {object} vars Placeholder values
+     * @returns {By}
+     */
+    by(name, vars = null) {
+        const selector = this.get(name, vars);
+        return selector.substr(0, 1) === '#' ? By.id(selector.substr(1)) : By.xpath(selector);
+    }
+
+    /**
+     * Get all selector names.
+     *
+     * @returns {string[]}
+     */
+    names() {
+        const res = [];
+        const f = (items, prefix) => {
+            for (const k of Object.keys(items)) {
+                if (items[k] && typeof items[k] === 'object') {
+                    f(items[k], prefix + k + '.');
+                } else {
+                    res.push(prefix + k);
+                }
+            }
+        }
+        f(this.selectors, '');
+        return res;
+    }
+
+    /**
+     * Resolve dotted selector name.
+     *
+     * @param {string} name Selector name
+     * @returns {string|object|undefined}
+     */
+    resolve(name) {
+        let res = this.selectors;
+        for (const part of name.split('.')) {
+            if (!res || typeof res !== 'object') {
+                return;
+            }
+            res = res[part];
+        }
+        return res;
+    }
+
+    /**
+     * Replace placeholders such as `%TITLE%` using values keyed by its lower
+     * cased name, unknown placeholder is left as is.
+     *
+     * @param {string} selector Selector expression
+     * @param {object} vars Placeholder values
+     * @returns {string}
+     */
+    static format(selector, vars = null) {
+        if (vars) {
+            selector = selector.replace(/%([A-Z0-9_]+)%/g, (match, key) => {
+                key = key.toLowerCase();
+                return vars[key] !== undefined ? vars[key] : match;
+            });
+        }
+        return selector;
+    }
+
+    /**
+     * Create selectors from catalogue, applying overrides of budget year and
+     * additional overrides in order.
+     *
+     * @param {object} catalogue Selector catalogue
+     * @param {number} year Budget year
+     * @param {object} overrides Additional overrides such as of a bridge
+     * @returns {SiapSelector}
+     */
+    static create(catalogue, year = null, overrides = null) {
+        catalogue = catalogue || {};
+        const selectors = this.merge({}, catalogue.selectors || {});
+        if (year && catalogue.years && catalogue.years[year]) {
+            this.merge(selectors, catalogue.years[year]);
+        }
+        if (overrides) {
+            this.merge(selectors, overrides);
+        }
+        return new this(selectors, catalogue.version, catalogue.pages || {});
+    }
+
+    /**
+     * Create selectors from options of `selectors` which either a selector
+     * instance or overrides, `catalogue`, and `year`.
+     *
+     * @param {object} options Options
+     * @returns {SiapSelector}
+     */
+    static from(options) {
+        if (options.selectors instanceof this) {
+            return options.selectors;
+        }
+        return this.create(options.catalogue || this.getDefault(), options.year || new Date().getFullYear(), options.selectors);
+    }
+
+    static merge(dest, src) {
+        for (const k of Object.keys(src)) {
+            if (src[k] && typeof src[k] === 'object') {
+                if (!dest[k] || typeof dest[k] !== 'object') {
+                    dest[k] = {};
+                }
+                this.merge(dest[k], src[k]);
+            } else {
+                dest[k] = src[k];
+            }
+        }
+        return dest;
+    }
+
+    /**
+     * Load selector catalogue.
+     *
+     * @param {string} filename Catalogue filename
+     * @returns {object}
+     */
+    static load(filename) {
+        return JSON.parse(fs.readFileSync(filename));
+    }
+
+    /**
+     * Get bundled selector catalogue.
+     *
+     * @returns {object}
+     */
+    static getDefault() {
+        if (!this._default) {
+            this._default = this.load(this.DEFAULT);
+        }
+        return this._default;
+    }
+
+    static get DEFAULT() { return path.join(__dirname, '..', 'selectors.json') }
+}
+
+module.exports = SiapSelector;
\ No newline at end of file